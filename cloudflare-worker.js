@@ -6,8 +6,10 @@
  * 
  * Features:
  * - Normalizes cache keys (ignoring timestamp query parameters)
- * - Implements 24-hour cache with stale-while-revalidate for up to 7 days
+ * - Caches tiles for only 15 seconds, so live refresh sees new paint
  * - Sanitizes headers to prevent CORS issues
+ * - Caches pixel ownership lookups for only 30 seconds
+ * - Optional bearer token check when the PROXY_TOKEN secret is set
  */
 
 export default {
@@ -17,6 +19,28 @@ export default {
       return new Response("Not found", { status: 404 });
     }
 
+    // CORS preflight (sent when the app adds an Authorization header)
+    if (req.method === "OPTIONS") {
+      return new Response(null, {
+        status: 204,
+        headers: {
+          "Access-Control-Allow-Origin": "*",
+          "Access-Control-Allow-Methods": "GET, OPTIONS",
+          "Access-Control-Allow-Headers": "Authorization",
+          "Access-Control-Max-Age": "86400"
+        }
+      });
+    }
+
+    // Optional auth for self-hosted workers (set the PROXY_TOKEN secret to enable)
+    // The app sends this token from its client bundle, so it deters casual use rather than authenticating users
+    if (env.PROXY_TOKEN && req.headers.get("Authorization") !== `Bearer ${env.PROXY_TOKEN}`) {
+      return new Response("Unauthorized", {
+        status: 401,
+        headers: { "Access-Control-Allow-Origin": "*" }
+      });
+    }
+
     const upstream = new URL(
       "https://backend.wplace.live" + url.pathname.replace(/^\/wplace/, "")
     );
@@ -45,9 +69,14 @@ export default {
     h.set("Access-Control-Allow-Origin", "*");
 
     // Caching (store the sanitized response so wplace headers don't reappear)
+    // Tiles and pixel info change with every paint, so only cache them briefly
+    // (the app keeps its own tile cache; this just shields the backend from bursts)
+    const isPixelInfo = /^\/wplace\/[^/]+\/pixel\//.test(url.pathname);
     h.set(
       "Cache-Control",
-      "public, s-maxage=86400, stale-while-revalidate=604800"
+      isPixelInfo
+        ? "public, s-maxage=30"
+        : "public, s-maxage=15"
     );
     const sanitized = new Response(r.body, { status: r.status, headers: h });
 
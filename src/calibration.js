@@ -0,0 +1,95 @@
+/**
+ * Manual heading calibration - a yaw offset on top of the motion sensors
+ *
+ * Magnetometer bias (or steel nearby) can leave the art a few degrees off true north.
+ * The user aims the crosshair at something with a known bearing and the difference is
+ * kept as an offset, saved on this device so it survives reloads.
+ */
+import { wrapDegrees } from './utils.js';
+
+const STORAGE_KEY = 'wplace-ar-heading-calibration';
+
+let headingCalibration = 0; // degrees, added to the camera yaw
+
+// Callback for applying the offset (set by main module)
+let headingCalibrationCallback = null;
+
+/**
+ * Set callback for applying the calibration offset (radians) to the controls
+ */
+export function setHeadingCalibrationCallback(callback) {
+  headingCalibrationCallback = callback;
+}
+
+/**
+ * Hand the current offset to the controls
+ */
+function applyHeadingCalibration() {
+  if (headingCalibrationCallback) {
+    headingCalibrationCallback(headingCalibration * Math.PI / 180);
+  }
+}
+
+/**
+ * Remember the offset on this device (storage may be unavailable, e.g. private browsing)
+ */
+function saveHeadingCalibration() {
+  try {
+    if (headingCalibration === 0) {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, String(headingCalibration));
+    }
+  } catch (err) {
+    console.warn('Could not save heading calibration:', err);
+  }
+}
+
+/**
+ * Load the saved offset for this device and apply it
+ */
+export function loadHeadingCalibration() {
+  try {
+    const stored = parseFloat(localStorage.getItem(STORAGE_KEY));
+    if (Number.isFinite(stored)) {
+      headingCalibration = stored;
+      console.log(`Heading calibration loaded: ${headingCalibration.toFixed(1)}°`);
+    }
+  } catch (err) {
+    console.warn('Could not load heading calibration:', err);
+  }
+  applyHeadingCalibration();
+}
+
+/**
+ * Get the calibration offset in degrees (0 when uncalibrated)
+ */
+export function getHeadingCalibration() {
+  return headingCalibration;
+}
+
+/**
+ * Calibrate so that where the camera points now is the given bearing
+ * @param {number} cameraBearing - Where the camera looks in scene space (degrees, with the current offset applied)
+ * @param {number} gridHeading - Current rotation of the tile grid (degrees)
+ * @param {number} targetBearing - True bearing of what the camera is aimed at (degrees from north)
+ * @returns {number} The new offset in degrees
+ */
+export function calibrateHeading(cameraBearing, gridHeading, targetBearing) {
+  // The grid's north is at scene bearing -gridHeading, so the target belongs at targetBearing - gridHeading
+  headingCalibration = wrapDegrees(headingCalibration + cameraBearing + gridHeading - targetBearing);
+  console.log(`Heading calibrated: ${headingCalibration.toFixed(1)}° (aimed at ${targetBearing.toFixed(1)}°)`);
+  saveHeadingCalibration();
+  applyHeadingCalibration();
+  return headingCalibration;
+}
+
+/**
+ * Forget the calibration
+ */
+export function resetHeadingCalibration() {
+  headingCalibration = 0;
+  console.log('Heading calibration reset');
+  saveHeadingCalibration();
+  applyHeadingCalibration();
+}
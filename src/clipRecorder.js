@@ -0,0 +1,153 @@
+/**
+ * AR video clip recording - captures the rendered canvas (camera feed, sky and art together)
+ * with captureStream and MediaRecorder, in the first format the browser can write
+ */
+import { CLIP_FORMATS, CLIP_FRAME_RATE, CLIP_BITRATE, CLIP_MAX_DURATION } from './config.js';
+
+// Recording state
+let recorder = null;
+let chunks = [];
+let format = null; // Entry of CLIP_FORMATS being written
+let startTime = 0;
+let tickIntervalId = null;
+
+// Callbacks for recording status and finished clips (set by ui module)
+let clipChangeCallback = null;
+let clipReadyCallback = null;
+
+/**
+ * Set callback for status changes, called with getClipStatus() (every second while recording)
+ */
+export function setClipChangeCallback(callback) {
+  clipChangeCallback = callback;
+}
+
+/**
+ * Set callback for finished clips, called with { blob, extension, duration } or null if nothing was recorded
+ */
+export function setClipReadyCallback(callback) {
+  clipReadyCallback = callback;
+}
+
+/**
+ * Tell the UI what the recorder is doing
+ */
+function notifyClipChange() {
+  if (clipChangeCallback) {
+    clipChangeCallback(getClipStatus());
+  }
+}
+
+/**
+ * Pick the first clip format this browser can record
+ * @returns {{mimeType: string, extension: string} | null} null if clips can't be recorded here
+ */
+export function getClipFormat() {
+  if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+  return CLIP_FORMATS.find(({ mimeType }) => MediaRecorder.isTypeSupported(mimeType)) || null;
+}
+
+/**
+ * Start recording the canvas
+ * @param {HTMLCanvasElement} canvas - The renderer's canvas
+ * @returns {boolean} Whether recording started
+ */
+export function startClipRecording(canvas) {
+  if (recorder) return false;
+
+  format = getClipFormat();
+  if (!format) {
+    console.warn('Clip recording not supported in this browser');
+    return false;
+  }
+
+  const stream = canvas.captureStream(CLIP_FRAME_RATE);
+  chunks = [];
+  try {
+    recorder = new MediaRecorder(stream, { mimeType: format.mimeType, videoBitsPerSecond: CLIP_BITRATE });
+    recorder.addEventListener('dataavailable', (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    });
+    recorder.addEventListener('stop', () => finishClip(stream));
+    recorder.start(1000); // Collect data every second so a crash loses little
+  } catch (err) {
+    // e.g. NotSupportedError when the canvas stream has no tracks
+    console.warn('Could not start clip recording:', err);
+    stream.getTracks().forEach((track) => track.stop());
+    recorder = null;
+    chunks = [];
+    format = null;
+    return false;
+  }
+
+  startTime = performance.now();
+  tickIntervalId = setInterval(tick, 1000);
+  console.log(`Clip recording started: ${format.mimeType}, max ${CLIP_MAX_DURATION / 1000}s`);
+  notifyClipChange();
+  return true;
+}
+
+/**
+ * Stop recording; the clip arrives through the clip ready callback
+ */
+export function stopClipRecording() {
+  if (!recorder || recorder.state === 'inactive') return;
+  clearInterval(tickIntervalId);
+  tickIntervalId = null;
+  recorder.stop();
+}
+
+/**
+ * Check whether a clip is being recorded
+ */
+export function isClipRecording() {
+  return recorder !== null;
+}
+
+/**
+ * Get how long the current clip has been recording
+ * @returns {{recording: boolean, elapsed: number, maxDuration: number}}
+ */
+export function getClipStatus() {
+  return {
+    recording: recorder !== null,
+    elapsed: recorder ? performance.now() - startTime : 0,
+    maxDuration: CLIP_MAX_DURATION
+  };
+}
+
+/**
+ * Update the duration counter and stop at the maximum length
+ */
+function tick() {
+  if (performance.now() - startTime >= CLIP_MAX_DURATION) {
+    console.log('Clip reached maximum length');
+    stopClipRecording();
+  } else {
+    notifyClipChange();
+  }
+}
+
+/**
+ * Put the recorded chunks together and hand the clip over
+ */
+function finishClip(stream) {
+  stream.getTracks().forEach((track) => track.stop());
+  const duration = performance.now() - startTime;
+  const blob = chunks.length > 0 ? new Blob(chunks, { type: format.mimeType }) : null;
+  const { extension } = format;
+
+  recorder = null;
+  chunks = [];
+  format = null;
+
+  if (blob) {
+    console.log(`Clip recorded: ${(duration / 1000).toFixed(1)}s, ${(blob.size / 1048576).toFixed(1)}MB`);
+  } else {
+    console.warn('Clip recording produced no data');
+  }
+  if (clipReadyCallback) {
+    clipReadyCallback(blob ? { blob, extension, duration } : null);
+  }
+  notifyClipChange();
+}
@@ -0,0 +1,145 @@
+/**
+ * Compass heading tracking for true-north alignment
+ *
+ * DeviceOrientationControls works in a frame where -Z is wherever the device
+ * pointed when the sensors started, so the tile grid has to be rotated by the
+ * difference between that frame and true north.
+ */
+import { COMPASS_SMOOTHING, COMPASS_FALLBACK_TIMEOUT } from './config.js';
+import { wrapDegrees } from './utils.js';
+
+// Compass state
+let lastRelativeAlpha = null; // alpha (degrees) from the same event stream the controls use
+let headingOffset = null; // smoothed offset (degrees) from controls frame to true north
+let headingSource = 'none'; // 'absolute' (Android), 'webkit' (iOS), 'relative-absolute' (already north-referenced) or 'none'
+let compassStarted = false;
+let fallbackTimeoutId = null;
+
+// Callback for applying the heading offset (set by main module)
+let headingOffsetCallback = null;
+// Callback for reporting that no compass is available (set by ui module)
+let compassUnavailableCallback = null;
+
+/**
+ * Set callback for applying the heading offset (radians) to the tile grid
+ */
+export function setHeadingOffsetCallback(callback) {
+  headingOffsetCallback = callback;
+}
+
+/**
+ * Set callback for when no absolute heading source is found
+ */
+export function setCompassUnavailableCallback(callback) {
+  compassUnavailableCallback = callback;
+}
+
+/**
+ * Blend a new offset sample into the smoothed heading offset
+ */
+function updateHeadingOffset(sample, source) {
+  if (headingSource !== source) {
+    console.log(`Compass source: ${source}`);
+    headingSource = source;
+  }
+
+  if (fallbackTimeoutId) {
+    clearTimeout(fallbackTimeoutId);
+    fallbackTimeoutId = null;
+  }
+
+  if (headingOffset === null) {
+    headingOffset = wrapDegrees(sample);
+  } else {
+    // Move along the shortest arc so 359° -> 1° doesn't spin the grid around
+    headingOffset = wrapDegrees(headingOffset + wrapDegrees(sample - headingOffset) * COMPASS_SMOOTHING);
+  }
+
+  if (headingOffsetCallback) {
+    headingOffsetCallback(headingOffset * Math.PI / 180);
+  }
+}
+
+/**
+ * Relative orientation handler (same stream DeviceOrientationControls reads)
+ */
+function onDeviceOrientation(event) {
+  if (event.alpha === null) return;
+  lastRelativeAlpha = event.alpha;
+
+  // iOS: alpha is relative to start-up, but the compass heading is reported alongside it
+  if (typeof event.webkitCompassHeading === 'number' && event.webkitCompassHeading >= 0) {
+    updateHeadingOffset(event.alpha + event.webkitCompassHeading, 'webkit');
+    return;
+  }
+
+  // Some browsers (e.g. Firefox on Android) already deliver north-referenced alpha
+  if (event.absolute === true && headingSource !== 'absolute') {
+    updateHeadingOffset(0, 'relative-absolute');
+  }
+}
+
+/**
+ * Absolute orientation handler (Chrome on Android)
+ */
+function onDeviceOrientationAbsolute(event) {
+  if (event.alpha === null || lastRelativeAlpha === null) return;
+  // Both readings describe the same device pose, so their difference is the frame offset
+  updateHeadingOffset(lastRelativeAlpha - event.alpha, 'absolute');
+}
+
+/**
+ * Start listening for compass heading
+ */
+export function startCompass() {
+  if (compassStarted) return;
+  compassStarted = true;
+
+  window.addEventListener('deviceorientation', onDeviceOrientation);
+  if ('ondeviceorientationabsolute' in window) {
+    window.addEventListener('deviceorientationabsolute', onDeviceOrientationAbsolute);
+  }
+
+  // Fallback: if no absolute heading arrives, keep the grid aligned to the start-up direction
+  fallbackTimeoutId = setTimeout(() => {
+    fallbackTimeoutId = null;
+    if (headingOffset === null) {
+      console.warn('No compass heading available - grid north follows initial device direction');
+      if (compassUnavailableCallback) {
+        compassUnavailableCallback();
+      }
+    }
+  }, COMPASS_FALLBACK_TIMEOUT);
+
+  console.log('Compass tracking started');
+}
+
+/**
+ * Stop listening for compass heading
+ */
+export function stopCompass() {
+  if (!compassStarted) return;
+  compassStarted = false;
+
+  window.removeEventListener('deviceorientation', onDeviceOrientation);
+  window.removeEventListener('deviceorientationabsolute', onDeviceOrientationAbsolute);
+  if (fallbackTimeoutId) {
+    clearTimeout(fallbackTimeoutId);
+    fallbackTimeoutId = null;
+  }
+  console.log('Compass tracking stopped');
+}
+
+/**
+ * Get current heading offset in degrees (null until a compass reading arrives)
+ */
+export function getHeadingOffset() {
+  return headingOffset;
+}
+
+/**
+ * Get which compass source is in use
+ */
+export function getHeadingSource() {
+  return headingSource;
+}
@@ -2,24 +2,139 @@
  * Configuration constants for wPlace AR Viewer
  */
 
+// wplace backend (reached through the Cloudflare Worker proxy for CORS)
+export const WPLACE_PROXY_URL = 'https://wplace-proxy.deezus.workers.dev/wplace';
+export const WPLACE_SITE_URL = 'https://wplace.live';
+export const WPLACE_LINK_ZOOM = 18; // Map zoom used when opening a pixel on wplace.live
+
+// Seasons / canvases on the backend (tile paths look like /files/{season}/tiles/...)
+// Add archived seasons here to offer them in the selector; any other id can be typed in
+export const SEASON = 's0'; // Season loaded on start-up
+export const SEASONS = [
+  { id: 's0', name: 'Season 0' }
+];
+
 // Tile system configuration
 export const ZOOM_LEVEL = 11;
-export const TILE_SIZE = 1000;
-export const SKY_HEIGHT = 200; // Initial height, mutable via slider
+export const TILE_SIZE = 1000; // Scene units per tile (when GEO_SCALE is off)
+export const TILE_PIXELS = 1000; // Width/height of a wplace tile PNG in pixels
+export const GEO_SCALE = false; // One scene unit = one real meter, tile size from Web Mercator at your latitude
+export const SKY_HEIGHT = 200; // Initial height, mutable via slider (meters when GEO_SCALE is on)
+export const GRID_RADIUS = 1; // Tiles on each side of the center tile (1 = 3x3, 2 = 5x5, 3 = 7x7)
+export const MAX_CONCURRENT_TILE_LOADS = 4; // Tile downloads in flight at once (lazy loading)
+
+// Pixel-art rendering
+export const PIXEL_PERFECT = false; // Nearest-neighbour magnification for crisp pixel edges
+export const PIXEL_GRID = false; // Thin grid along pixel edges when zoomed in close enough
+
+// Template overlay
+export const TEMPLATE_OPACITY = 0.7; // Initial template plane opacity
+export const TEMPLATE_WRONG_COLOR = [255, 0, 80, 220]; // RGBA highlight for wrongly painted pixels
+
+// Offline tile cache (IndexedDB)
+export const TILE_CACHE_STALE_AFTER = 5 * 60 * 1000; // ms before a cached tile is revalidated in the background
+export const TILE_CACHE_MAX_BYTES = 100 * 1024 * 1024; // Size cap before least recently used tiles are evicted
+
+// Time-lapse history (dated tile snapshots in IndexedDB)
+export const HISTORY_SNAPSHOTS = true; // Keep a dated snapshot each time a tile is downloaded
+export const HISTORY_SNAPSHOT_INTERVAL = 60 * 60 * 1000; // ms per snapshot slot - later downloads in the same slot replace it
+export const HISTORY_MAX_BYTES = 200 * 1024 * 1024; // Size cap before the oldest snapshots are evicted
+export const HISTORY_FRAME_DURATION = 800; // ms each snapshot is shown during playback
+
+// Live tile refresh
+export const LIVE_REFRESH_INTERVAL = 0; // Seconds between refreshes of visible tiles (0 = off)
+export const CHANGE_HIGHLIGHT_DURATION = 4; // Seconds changed pixels pulse after a refresh
+export const CHANGE_HIGHLIGHT_COLOR = 0xffee00; // Glow color for changed pixels
 
 // Fallback location (Toronto)
 export const FALLBACK = { lat: 43.642567, lon: -79.387054 };
 
 // Fog parameters for distance-based fading
 // TILE_SIZE is 1000, so with a 3x3 grid, adjacent tiles are at distances of ~1000-1414 units
+// Larger grids push both values out by one TILE_SIZE per extra ring
+// At geographic scale both are converted to meters with the real tile size
 export const fogNear = 500;  // Start fading just beyond adjacent tiles
 export const fogFar = 1800;  // Completely fade
 
+// Orientation smoothing (see orientationFilters.js; all tunable at runtime)
+export const ORIENTATION_FILTER = 'adaptive'; // 'adaptive', 'oneEuro' or 'none'
+
 // Adaptive smoothing time constants for orientation tracking
 export const TAU_BASE = 0.03; // fast response on quick turns (~30ms)
 export const TAU_SLOW = 0.12; // slightly smoother when steady (~120ms)
+export const ADAPTIVE_SNAP_ANGLE = 0.25; // turn (radians, ~14°) at which the fast time constant takes over
+
+// One-Euro filter parameters
+export const ONE_EURO_MIN_CUTOFF = 1.0; // Hz - lower is steadier when still
+export const ONE_EURO_BETA = 4; // how fast the cutoff rises with angular speed (per rad/s)
+export const ONE_EURO_D_CUTOFF = 1.0; // Hz - smoothing of the speed estimate
+
+// Touch-drag look controls (mobile without motion sensors)
+export const TOUCH_INERTIA_DECAY = 4; // per second - how quickly a fling slows down
+export const CAMERA_MIN_FOV = 20; // degrees - furthest pinch zoom in
+export const CAMERA_MAX_FOV = 100; // degrees - furthest pinch zoom out
+
+// Desktop look controls
+export const KEY_LOOK_SPEED = 1.5; // rad/s while WASD / arrow keys are held
+export const WHEEL_ZOOM_SPEED = 0.05; // degrees of field of view per wheel delta unit
+
+// Camera feed
+export const VIDEO_RESOLUTION = 'auto'; // Preferred resolution (see VIDEO_RESOLUTIONS)
+export const VIDEO_RESOLUTIONS = {
+  auto: { name: 'Auto' },
+  '720p': { name: '720p', width: 1280, height: 720 },
+  '1080p': { name: '1080p', width: 1920, height: 1080 },
+  '4k': { name: '4K', width: 3840, height: 2160 }
+}; // Ideal sizes - the browser picks the closest its camera supports
+export const VIDEO_RETRY_DELAYS = [1000, 2000, 5000, 10000]; // ms between attempts to reopen a lost camera (last repeats)
+
+// Procedural sky (shown when there is no camera feed)
+export const SKY_UPDATE_INTERVAL = 60000; // ms between sun position updates
+
+// AR video clips
+export const CLIP_FORMATS = [
+  { mimeType: 'video/webm;codecs=vp9', extension: 'webm' },
+  { mimeType: 'video/webm;codecs=vp8', extension: 'webm' },
+  { mimeType: 'video/webm', extension: 'webm' },
+  { mimeType: 'video/mp4;codecs=avc1', extension: 'mp4' },
+  { mimeType: 'video/mp4', extension: 'mp4' }
+]; // First one MediaRecorder supports wins (Safari only writes MP4)
+export const CLIP_FRAME_RATE = 30; // fps captured from the canvas
+export const CLIP_BITRATE = 8000000; // bits per second
+export const CLIP_MAX_DURATION = 60000; // ms before recording stops by itself
+
+// Camera lens field of view, across the long edge of the image (calibratable per device)
+// Degrees from 35mm-equivalent focal lengths: 2 * atan(18mm / focal length)
+export const CAMERA_LENS_FOV = 70; // typical phone main camera (~26mm)
+export const CAMERA_LENS_FOV_TABLE = [
+  { name: 'iPhone', pattern: /iPhone/, fov: 69.4 }, // 26mm
+  { name: 'Pixel', pattern: /Pixel [6-9]/, fov: 73.7 }, // 24mm
+  { name: 'Galaxy S', pattern: /SM-S9\d\d/, fov: 73.7 } // 24mm
+]; // First match on the user agent wins
+
+// Compass heading alignment
+export const COMPASS_SMOOTHING = 0.05; // EMA factor per compass reading (lower = steadier)
+export const COMPASS_FALLBACK_TIMEOUT = 3000; // ms to wait for a heading before falling back
 
 // GPS tracking defaults
-export const GPS_UPDATE_INTERVAL = 25; // Update frequency in seconds (default 25s)
-export const GPS_DISTANCE_THRESHOLD = 15; // Minimum distance in meters before reloading (default 15m)
+export const GPS_POWER_MODE = 'balanced'; // Default power vs responsiveness preset (see GPS_POWER_MODES)
+export const GPS_POWER_MODES = {
+  saver: { name: 'Battery saver', enableHighAccuracy: false, maximumAge: 30000, minInterval: 20000 },
+  balanced: { name: 'Balanced', enableHighAccuracy: true, maximumAge: 5000, minInterval: 5000 },
+  responsive: { name: 'Responsive', enableHighAccuracy: true, maximumAge: 0, minInterval: 0 }
+}; // minInterval is the ms between fixes that are used, the rest are skipped
+export const GPS_DISTANCE_THRESHOLD = 5; // Minimum smoothed distance in meters before moving (default 5m)
+export const GPS_MAX_ACCURACY = 50; // meters - less accurate fixes are ignored
+export const GPS_MAX_SPEED = 50; // m/s - faster jumps are treated as bad fixes
+export const GPS_MAX_OUTLIERS = 3; // Jumps in a row before they are trusted (e.g. on a train)
+export const GPS_PROCESS_NOISE = 3; // m/s - how far the smoothed position may drift per second (walking pace)
+
+// Route playback (simulated GPS feed)
+export const ROUTE_WALKING_SPEED = 1.4; // m/s - pace for routes without timestamps
+export const ROUTE_FIX_INTERVAL = 1000; // ms between simulated fixes
+export const ROUTE_FIX_ACCURACY = 5; // meters reported with each simulated fix
 
+// Smooth movement between GPS fixes
+export const MOVEMENT_GLIDE_DURATION = 1500; // ms - how long the sky takes to glide to a new fix
+export const MOVEMENT_NOTIFY_PIXEL_STEP = 0.25; // wplace pixels the viewer moves before overlays are re-placed
+export const MOVEMENT_MAX_GLIDE_DISTANCE = 500; // meters - further jumps (e.g. a bad fix) snap instead of gliding
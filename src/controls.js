@@ -1,59 +1,105 @@
 /**
- * Device orientation and mouse look controls
+ * Device orientation, touch-drag and desktop (pointer, keyboard, wheel) look controls
  */
 import * as THREE from 'three';
 import { DeviceOrientationControls } from 'three-stdlib';
-import { camera } from './scene.js';
-import { TAU_BASE, TAU_SLOW } from './config.js';
+import { camera, getCameraBaseFov } from './scene.js';
+import {
+  ORIENTATION_FILTER,
+  TOUCH_INERTIA_DECAY,
+  CAMERA_MIN_FOV,
+  CAMERA_MAX_FOV,
+  KEY_LOOK_SPEED,
+  WHEEL_ZOOM_SPEED
+} from './config.js';
+import { ORIENTATION_FILTERS, filterOrientation, getDefaultFilterParams } from './orientationFilters.js';
+import { recordOrientation } from './session.js';
+import { isEditableTarget } from './utils.js';
 
 // Device orientation (3-DoF)
 const orientationProxy = new THREE.Object3D();
 let controls = null;
 export let hasDeviceOrientation = false;
 
-// Desktop mouse look controls
-let isMouseDown = false;
-let mouseX = 0;
-let mouseY = 0;
+// Desktop look controls (mouse, pen or touchscreen via Pointer Events)
+let isPointerDown = false;
+let pointerX = 0;
+let pointerY = 0;
 let cameraRotationX = 0; // pitch (up/down)
 let cameraRotationY = 0; // yaw (left/right)
 
-// Adaptive smoothing (snappy)
-let smoothQ = new THREE.Quaternion();
-let orientationInitialized = false;
+// Keyboard look: held key code -> [pitch direction, yaw direction]
+const LOOK_KEYS = {
+  KeyW: [1, 0], ArrowUp: [1, 0],
+  KeyS: [-1, 0], ArrowDown: [-1, 0],
+  KeyA: [0, 1], ArrowLeft: [0, 1],
+  KeyD: [0, -1], ArrowRight: [0, -1]
+};
+const pressedLookKeys = new Set();
+
+// Touch-drag look controls (fallback when motion sensors are unavailable)
+let touchLook = false;
+let touchListenersAdded = false;
+let lastTouch = null; // { x, y, time } of the dragging finger
+let pinchStart = null; // { distance, fov } when a two-finger pinch began
+let lookVelocityX = 0; // pitch speed (rad/s) carried on after release
+let lookVelocityY = 0; // yaw speed (rad/s)
+
+// Orientation smoothing (see orientationFilters.js)
+let orientationFilter = ORIENTATION_FILTER;
+let orientationFilterParams = getDefaultFilterParams(ORIENTATION_FILTER);
+let orientationFilterState = null; // null restarts the filter at the next sample
 let lastT = performance.now();
 
+// Manual heading calibration: yaw applied on top of the sensor orientation
+const calibrationQ = new THREE.Quaternion();
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Recorded orientation being replayed (overrides the sensors and mouse)
+const replayQ = new THREE.Quaternion();
+let isReplayingOrientation = false;
+
 const canvas = document.getElementById('glscene');
 
 /**
- * Desktop mouse look controls - mouse down handler
+ * Desktop look controls - pointer down handler
  */
-function onMouseDown(event) {
-  isMouseDown = true;
-  mouseX = event.clientX;
-  mouseY = event.clientY;
+function onPointerDown(event) {
+  if (event.button !== 0 || isPointerLocked()) return;
+  isPointerDown = true;
+  pointerX = event.clientX;
+  pointerY = event.clientY;
+  canvas.setPointerCapture(event.pointerId); // Keep dragging when the pointer leaves the canvas
   canvas.style.cursor = 'grabbing';
 }
 
 /**
- * Desktop mouse look controls - mouse up handler
+ * Desktop look controls - pointer up handler
  */
-function onMouseUp() {
-  isMouseDown = false;
+function onPointerUp() {
+  if (!isPointerDown) return;
+  isPointerDown = false;
   canvas.style.cursor = 'grab';
 }
 
 /**
- * Desktop mouse look controls - mouse move handler
+ * Desktop look controls - pointer move handler (drag, or any movement while pointer-locked)
  */
-function onMouseMove(event) {
-  if (!isMouseDown || hasDeviceOrientation) return;
-  
-  const deltaX = event.clientX - mouseX;
-  const deltaY = event.clientY - mouseY;
+function onPointerMove(event) {
+  if (hasDeviceOrientation || isReplayingOrientation) return;
   
-  mouseX = event.clientX;
-  mouseY = event.clientY;
+  let deltaX, deltaY;
+  if (isPointerLocked()) {
+    deltaX = event.movementX;
+    deltaY = event.movementY;
+  } else if (isPointerDown) {
+    deltaX = event.clientX - pointerX;
+    deltaY = event.clientY - pointerY;
+    pointerX = event.clientX;
+    pointerY = event.clientY;
+  } else {
+    return;
+  }
   
   // Sensitivity factor
   const sensitivity = 0.002;
@@ -62,15 +108,190 @@ function onMouseMove(event) {
   cameraRotationY -= deltaX * sensitivity; // left/right
   cameraRotationX -= deltaY * sensitivity; // up/down
   
+  applyLookRotation();
+}
+
+/**
+ * Clamp pitch and apply the mouse/touch look angles to the camera
+ */
+function applyLookRotation() {
   // Clamp pitch to prevent over-rotation
   cameraRotationX = Math.max(-Math.PI/2, Math.min(Math.PI/2, cameraRotationX));
   
-  // Apply rotation to camera
   camera.rotation.order = 'YXZ';
   camera.rotation.x = cameraRotationX;
   camera.rotation.y = cameraRotationY;
 }
 
+/**
+ * Carry on mouse/touch look from wherever the camera currently points
+ */
+function syncLookRotationFromCamera() {
+  const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+  cameraRotationX = euler.x;
+  cameraRotationY = euler.y;
+  applyLookRotation();
+}
+
+/**
+ * Set the camera field of view (zoom), within the allowed range
+ */
+function setCameraFov(fov) {
+  camera.fov = THREE.MathUtils.clamp(fov, CAMERA_MIN_FOV, CAMERA_MAX_FOV);
+  camera.updateProjectionMatrix();
+}
+
+/**
+ * Desktop look controls - wheel handler (zoom)
+ */
+function onWheel(event) {
+  event.preventDefault(); // Keep the page from scrolling
+  setCameraFov(camera.fov + event.deltaY * WHEEL_ZOOM_SPEED);
+}
+
+/**
+ * Keyboard look controls - key down handler
+ */
+function onKeyDown(event) {
+  if (!LOOK_KEYS[event.code] || event.ctrlKey || event.metaKey || event.altKey) return;
+  if (isEditableTarget(event.target)) return;
+  pressedLookKeys.add(event.code);
+  event.preventDefault(); // Arrow keys would scroll
+}
+
+/**
+ * Keyboard look controls - key up handler
+ */
+function onKeyUp(event) {
+  pressedLookKeys.delete(event.code);
+}
+
+/**
+ * Turn while look keys are held
+ */
+function updateKeyboardLook(dt) {
+  if (pressedLookKeys.size === 0) return;
+  
+  let pitch = 0;
+  let yaw = 0;
+  pressedLookKeys.forEach((code) => {
+    pitch += LOOK_KEYS[code][0];
+    yaw += LOOK_KEYS[code][1];
+  });
+  
+  // Turn more finely when zoomed in
+  const speed = KEY_LOOK_SPEED * camera.fov / getCameraBaseFov();
+  cameraRotationX += Math.sign(pitch) * speed * dt;
+  cameraRotationY += Math.sign(yaw) * speed * dt;
+  applyLookRotation();
+}
+
+/**
+ * Check whether mouselook has the pointer locked
+ */
+function isPointerLocked() {
+  return document.pointerLockElement === canvas;
+}
+
+/**
+ * Distance in pixels between the first two touches
+ */
+function getPinchDistance(touches) {
+  return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+}
+
+/**
+ * Touch look controls - touch start handler
+ */
+function onTouchStart(event) {
+  if (!touchLook || isReplayingOrientation) return;
+  
+  // A new touch stops any inertia
+  lookVelocityX = 0;
+  lookVelocityY = 0;
+  
+  if (event.touches.length >= 2) {
+    pinchStart = { distance: getPinchDistance(event.touches), fov: camera.fov };
+    lastTouch = null;
+  } else {
+    const touch = event.touches[0];
+    lastTouch = { x: touch.clientX, y: touch.clientY, time: performance.now() };
+  }
+}
+
+/**
+ * Touch look controls - touch move handler (drag to look, pinch to zoom)
+ */
+function onTouchMove(event) {
+  if (!touchLook || isReplayingOrientation) return;
+  event.preventDefault(); // Keep the page from scrolling or zooming
+  
+  if (pinchStart && event.touches.length >= 2) {
+    setCameraFov(pinchStart.fov * pinchStart.distance / Math.max(1, getPinchDistance(event.touches)));
+    return;
+  }
+  if (!lastTouch) return;
+  
+  const touch = event.touches[0];
+  const now = performance.now();
+  const dt = Math.max(0.001, (now - lastTouch.time) / 1000);
+  
+  // Drag the sky with the finger: a full screen height turns by the vertical field of view
+  const radiansPerPixel = THREE.MathUtils.degToRad(camera.fov) / window.innerHeight;
+  const deltaX = (touch.clientY - lastTouch.y) * radiansPerPixel;
+  const deltaY = (touch.clientX - lastTouch.x) * radiansPerPixel;
+  cameraRotationX += deltaX;
+  cameraRotationY += deltaY;
+  applyLookRotation();
+  
+  // Smoothed drag speed for the fling when the finger lifts
+  lookVelocityX = lookVelocityX * 0.5 + (deltaX / dt) * 0.5;
+  lookVelocityY = lookVelocityY * 0.5 + (deltaY / dt) * 0.5;
+  lastTouch = { x: touch.clientX, y: touch.clientY, time: now };
+}
+
+/**
+ * Touch look controls - touch end handler
+ */
+function onTouchEnd(event) {
+  if (event.touches.length < 2) {
+    pinchStart = null;
+  }
+  
+  if (event.touches.length === 1) {
+    // Lifting one finger of a pinch continues as a drag
+    const touch = event.touches[0];
+    lastTouch = { x: touch.clientX, y: touch.clientY, time: performance.now() };
+    return;
+  }
+  
+  // Only fling if the finger was still moving when it lifted
+  if (!lastTouch || performance.now() - lastTouch.time > 100) {
+    lookVelocityX = 0;
+    lookVelocityY = 0;
+  }
+  lastTouch = null;
+}
+
+/**
+ * Keep turning after a fling, slowing down exponentially
+ */
+function updateTouchInertia(dt) {
+  if (lastTouch || (lookVelocityX === 0 && lookVelocityY === 0)) return;
+  
+  cameraRotationX += lookVelocityX * dt;
+  cameraRotationY += lookVelocityY * dt;
+  applyLookRotation();
+  
+  const decay = Math.exp(-TOUCH_INERTIA_DECAY * dt);
+  lookVelocityX *= decay;
+  lookVelocityY *= decay;
+  if (Math.hypot(lookVelocityX, lookVelocityY) < 0.01) {
+    lookVelocityX = 0;
+    lookVelocityY = 0;
+  }
+}
+
 /**
  * Initialize device orientation controls for mobile
  */
@@ -87,14 +308,25 @@ export function initMouseControls() {
   // Start looking straight up (like mobile device)
   cameraRotationX = Math.PI / 2; // 90 degrees up
   cameraRotationY = 0;
-  camera.rotation.order = 'YXZ';
-  camera.rotation.x = cameraRotationX;
-  camera.rotation.y = cameraRotationY;
+  applyLookRotation();
+  
+  // Pointer events cover mice, pens and touchscreen laptops alike
+  canvas.addEventListener('pointerdown', onPointerDown);
+  canvas.addEventListener('pointerup', onPointerUp);
+  canvas.addEventListener('pointercancel', onPointerUp);
+  document.addEventListener('pointermove', onPointerMove);
+  canvas.style.touchAction = 'none'; // Touch drags look around instead of scrolling
   
-  // Add mouse event listeners
-  canvas.addEventListener('mousedown', onMouseDown);
-  document.addEventListener('mouseup', onMouseUp);
-  document.addEventListener('mousemove', onMouseMove);
+  // Wheel zoom and keyboard look
+  canvas.addEventListener('wheel', onWheel, { passive: false });
+  document.addEventListener('keydown', onKeyDown);
+  document.addEventListener('keyup', onKeyUp);
+  window.addEventListener('blur', () => pressedLookKeys.clear()); // Keys released while away never send keyup
+  
+  document.addEventListener('pointerlockchange', () => {
+    console.log(`Pointer lock ${isPointerLocked() ? 'on' : 'off'}`);
+    canvas.style.cursor = isPointerLocked() ? 'none' : 'grab';
+  });
   
   // Prevent context menu on canvas
   canvas.addEventListener('contextmenu', (e) => e.preventDefault());
@@ -103,6 +335,78 @@ export function initMouseControls() {
   canvas.style.cursor = 'grab';
 }
 
+/**
+ * Toggle pointer-lock mouselook (desktop only; Esc also leaves it)
+ */
+export function togglePointerLock() {
+  if (isPointerLocked()) {
+    document.exitPointerLock();
+  } else if (!hasDeviceOrientation && canvas.requestPointerLock) {
+    canvas.requestPointerLock();
+  }
+}
+
+/**
+ * Reset the camera zoom
+ */
+export function resetCameraZoom() {
+  setCameraFov(getCameraBaseFov());
+}
+
+/**
+ * Initialize touch-drag look controls (mobile without motion sensors)
+ * Starts looking straight up, like a phone held overhead.
+ */
+export function initTouchControls() {
+  cameraRotationX = Math.PI / 2;
+  cameraRotationY = 0;
+  applyLookRotation();
+  setTouchLook(true);
+}
+
+/**
+ * Switch between touch-drag look and the motion sensors at runtime
+ */
+export function setTouchLook(enabled) {
+  if (enabled === touchLook) return;
+  
+  if (enabled && !touchListenersAdded) {
+    canvas.addEventListener('touchstart', onTouchStart, { passive: true });
+    canvas.addEventListener('touchmove', onTouchMove, { passive: false });
+    canvas.addEventListener('touchend', onTouchEnd);
+    canvas.addEventListener('touchcancel', onTouchEnd);
+    touchListenersAdded = true;
+  }
+  
+  touchLook = enabled;
+  lastTouch = null;
+  pinchStart = null;
+  lookVelocityX = 0;
+  lookVelocityY = 0;
+  orientationFilterState = null; // The sensors pick up from scratch when switched back
+  
+  if (enabled) {
+    syncLookRotationFromCamera(); // Don't jump when switching from the sensors
+  } else {
+    resetCameraZoom();
+  }
+  console.log(`Look mode: ${enabled ? 'touch drag' : 'motion sensors'}`);
+}
+
+/**
+ * Check whether touch-drag look is active
+ */
+export function isTouchLook() {
+  return touchLook;
+}
+
+/**
+ * Check whether motion sensor controls have been set up
+ */
+export function hasOrientationControls() {
+  return controls !== null;
+}
+
 /**
  * Update controls in the render loop
  * @param {number} currentTime - Current time from animation loop
@@ -111,26 +415,64 @@ export function updateControls(currentTime) {
   const dt = Math.max(0.001, (currentTime - lastT) / 1000);
   lastT = currentTime;
 
-  if (hasDeviceOrientation && controls) {
+  let targetQ = null;
+  if (isReplayingOrientation) {
+    targetQ = replayQ;
+  } else if (touchLook) {
+    updateTouchInertia(dt);
+  } else if (!hasDeviceOrientation) {
+    updateKeyboardLook(dt);
+  } else if (controls) {
     controls.update(); // writes orientationProxy.quaternion
+    targetQ = orientationProxy.quaternion;
+    recordOrientation(targetQ);
+  }
 
-    if (!orientationInitialized) {
-      smoothQ.copy(orientationProxy.quaternion);
-      orientationInitialized = true;
-    }
+  if (targetQ) {
+    orientationFilterState = filterOrientation(orientationFilter, orientationFilterState, targetQ, dt, orientationFilterParams);
+    camera.quaternion.copy(orientationFilterState.quaternion).premultiply(calibrationQ);
+  }
+}
 
-    // Compute angular difference to adapt smoothing (snappy on large changes)
-    const targetQ = orientationProxy.quaternion;
-    const dot = THREE.MathUtils.clamp(smoothQ.dot(targetQ), -1, 1);
-    const ang = 2 * Math.acos(Math.abs(dot)); // radians
-    // Map angle to a time constant between slow and fast
-    const k = THREE.MathUtils.clamp(ang / 0.25, 0, 1); // 0 rad..~14° → 0..1
-    const tau = THREE.MathUtils.lerp(TAU_SLOW, TAU_BASE, k);
-    const alpha = dt / (tau + dt); // EMA factor, framerate-independent
-
-    smoothQ.slerp(targetQ, alpha);
-    camera.quaternion.copy(smoothQ);
+/**
+ * Drive the camera from a replayed raw quaternion [x, y, z, w] (null hands back to the sensors or mouse)
+ * Replayed samples go through the same smoothing as live ones.
+ */
+export function setReplayOrientation(quaternion) {
+  if (quaternion) {
+    if (!isReplayingOrientation) {
+      orientationFilterState = null; // Start from the recording, not the current view
+    }
+    replayQ.fromArray(quaternion);
+    isReplayingOrientation = true;
+    return;
   }
+  
+  if (!isReplayingOrientation) return;
+  isReplayingOrientation = false;
+  orientationFilterState = null;
+  
+  // Mouse or touch look carries on from where the replay left the camera
+  if (!hasDeviceOrientation || touchLook) {
+    syncLookRotationFromCamera();
+  }
+}
+
+/**
+ * Set the heading calibration yaw (radians) applied on top of the sensors
+ */
+export function setHeadingCalibration(yaw) {
+  calibrationQ.setFromAxisAngle(UP, yaw);
+}
+
+/**
+ * Compass bearing the camera looks along in scene space (degrees, -Z is 0 and +X is 90)
+ * @returns {number|null} null when looking too steeply up or down to tell
+ */
+export function getCameraBearing() {
+  const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+  if (Math.hypot(forward.x, forward.z) < 0.2) return null;
+  return THREE.MathUtils.radToDeg(Math.atan2(forward.x, -forward.z));
 }
 
 /**
@@ -140,3 +482,39 @@ export function setHasDeviceOrientation(value) {
   hasDeviceOrientation = value;
 }
 
+/**
+ * Get the orientation smoothing filter id
+ */
+export function getOrientationFilter() {
+  return orientationFilter;
+}
+
+/**
+ * Switch orientation smoothing filter (its parameters start at their defaults)
+ * @param {string} id - Key of ORIENTATION_FILTERS
+ * @returns {boolean} Whether the filter changed
+ */
+export function setOrientationFilter(id) {
+  if (!ORIENTATION_FILTERS[id] || id === orientationFilter) return false;
+  orientationFilter = id;
+  orientationFilterParams = getDefaultFilterParams(id);
+  orientationFilterState = null;
+  console.log(`Orientation filter: ${ORIENTATION_FILTERS[id].name}`);
+  return true;
+}
+
+/**
+ * Get the current filter parameter values by key
+ */
+export function getOrientationFilterParams() {
+  return { ...orientationFilterParams };
+}
+
+/**
+ * Tune one parameter of the current filter (takes effect on the next frame)
+ */
+export function setOrientationFilterParam(key, value) {
+  if (!(key in orientationFilterParams) || !Number.isFinite(value)) return;
+  orientationFilterParams[key] = value;
+  console.log(`Orientation filter ${key} = ${value}`);
+}
@@ -1,8 +1,19 @@
 /**
  * GPS location management and tracking
  */
-import { FALLBACK, GPS_UPDATE_INTERVAL, GPS_DISTANCE_THRESHOLD } from './config.js';
+import {
+  FALLBACK,
+  GPS_POWER_MODE,
+  GPS_POWER_MODES,
+  GPS_DISTANCE_THRESHOLD,
+  GPS_MAX_ACCURACY,
+  GPS_MAX_SPEED,
+  GPS_MAX_OUTLIERS,
+  GPS_PROCESS_NOISE
+} from './config.js';
 import { calculateDistance } from './utils.js';
+import { updatePositionFilter, getFilterAccuracy } from './positionFilter.js';
+import { recordFix } from './session.js';
 
 // GPS override system
 let gpsOverride = null; // { lat: number, lon: number } or null for real GPS
@@ -11,22 +22,30 @@ let selectedLocation = null; // Store location selected on map
 
 // GPS Live Tracking System
 let isLiveTrackingEnabled = true; // Toggle for live GPS tracking
-let gpsUpdateInterval = GPS_UPDATE_INTERVAL; // Update frequency in seconds
-let gpsDistanceThreshold = GPS_DISTANCE_THRESHOLD; // Minimum distance in meters before reloading
-let gpsTrackingIntervalId = null; // ID for the tracking interval
+let gpsPowerMode = GPS_POWER_MODE; // Key of GPS_POWER_MODES
+let gpsDistanceThreshold = GPS_DISTANCE_THRESHOLD; // Minimum distance in meters before moving
+let gpsWatchId = null; // ID from watchPosition
+let gpsWatchSource = null; // Geolocation object the watch was started on
+let simulatedGeolocation = null; // Stands in for navigator.geolocation (e.g. route playback)
 let lastKnownPosition = null; // Store last position to calculate distance moved
+let positionFilterState = null; // Smoothed position (see positionFilter.js)
+let lastUsedFixTime = 0; // Timestamp of the last fix fed to the filter
 
 // Store original settings when modal opens (for cancellation)
 let modalOriginalSettings = {
   isLiveTrackingEnabled: true,
-  gpsUpdateInterval: GPS_UPDATE_INTERVAL,
+  gpsPowerMode: GPS_POWER_MODE,
   selectedLocation: null
 };
 
 // Callback for refreshing tiles (set by tiles module)
 let refreshTilesCallback = null;
+// Callback for moving to a new tracked position (set by main module)
+let positionUpdateCallback = null;
 // Callback for updating UI display (set by ui module)
 let updateCurrentLocationDisplayCallback = null;
+// Callback for GPS accuracy updates (set by ui module)
+let gpsAccuracyCallback = null;
 
 /**
  * Set callback for refreshing tiles when location changes
@@ -35,6 +54,13 @@ export function setRefreshTilesCallback(callback) {
   refreshTilesCallback = callback;
 }
 
+/**
+ * Set callback for new positions from live tracking (glided to rather than reloaded)
+ */
+export function setPositionUpdateCallback(callback) {
+  positionUpdateCallback = callback;
+}
+
 /**
  * Set callback for updating location display in UI
  */
@@ -42,6 +68,13 @@ export function setUpdateCurrentLocationDisplayCallback(callback) {
   updateCurrentLocationDisplayCallback = callback;
 }
 
+/**
+ * Set callback for GPS accuracy, called with { accuracy, smoothedAccuracy, accepted } or null when tracking stops
+ */
+export function setGpsAccuracyCallback(callback) {
+  gpsAccuracyCallback = callback;
+}
+
 /**
  * Show alert when fallback location is used
  */
@@ -62,15 +95,17 @@ export function getLatLonOnce() {
       return;
     }
     
-    // Otherwise get real GPS location
-    if (!navigator.geolocation) {
+    // Otherwise get real (or simulated) GPS location
+    const geolocation = getGeolocation();
+    if (!geolocation) {
       showFallbackLocationAlert();
       const location = FALLBACK;
       currentLocation = location;
       return resolve(location);
     }
-    navigator.geolocation.getCurrentPosition(
+    geolocation.getCurrentPosition(
       (p) => {
+        recordFix(p);
         const location = { lat: p.coords.latitude, lon: p.coords.longitude };
         currentLocation = location;
         lastKnownPosition = location; // Store for tracking system
@@ -90,7 +125,31 @@ export function getLatLonOnce() {
 }
 
 /**
- * Start periodic GPS tracking
+ * Geolocation source in use: the simulated one if set, else the device GPS
+ */
+function getGeolocation() {
+  return simulatedGeolocation || navigator.geolocation;
+}
+
+/**
+ * Replace the device GPS with a simulated source (same API as navigator.geolocation), null to go back
+ * Tracking is stopped - restart it to follow the new source.
+ */
+export function setSimulatedGeolocation(source) {
+  stopGPSTracking();
+  simulatedGeolocation = source;
+  console.log(source ? 'Using simulated GPS' : 'Using device GPS');
+}
+
+/**
+ * Check whether a simulated GPS source is in use
+ */
+export function isGeolocationSimulated() {
+  return simulatedGeolocation !== null;
+}
+
+/**
+ * Start watching the GPS position
  */
 export function startGPSTracking() {
   // Don't start tracking if override is active (user manually set a location)
@@ -99,73 +158,122 @@ export function startGPSTracking() {
     return;
   }
   
-  // Clear any existing tracking interval
+  // Clear any existing watch
   stopGPSTracking();
   
-  console.log(`Starting GPS tracking: interval=${gpsUpdateInterval}s, threshold=${gpsDistanceThreshold}m`);
+  const geolocation = getGeolocation();
+  if (!geolocation) {
+    console.warn('Geolocation not available');
+    return;
+  }
   
-  gpsTrackingIntervalId = setInterval(() => {
-    // Skip if override is active (user manually set a location)
-    if (gpsOverride) {
-      console.log('Skipping GPS update - override is active');
-      stopGPSTracking();
-      return;
-    }
+  const mode = GPS_POWER_MODES[gpsPowerMode];
+  console.log(`Starting ${simulatedGeolocation ? 'simulated ' : ''}GPS tracking: mode=${gpsPowerMode}, threshold=${gpsDistanceThreshold}m`);
+  
+  gpsWatchSource = geolocation;
+  gpsWatchId = geolocation.watchPosition(
+    (position) => handleTrackedPosition(position, mode),
+    (error) => {
+      console.warn('GPS tracking error:', error);
+    },
+    { enableHighAccuracy: mode.enableHighAccuracy, timeout: 20000, maximumAge: mode.maximumAge }
+  );
+}
+
+/**
+ * Filter a watched fix and move to the smoothed position once it has moved far enough
+ */
+function handleTrackedPosition(position, mode) {
+  recordFix(position);
+  
+  // Skip if override is active (user manually set a location)
+  if (gpsOverride) {
+    console.log('Skipping GPS update - override is active');
+    stopGPSTracking();
+    return;
+  }
+  
+  const fix = {
+    lat: position.coords.latitude,
+    lon: position.coords.longitude,
+    accuracy: position.coords.accuracy,
+    timestamp: position.timestamp
+  };
+  
+  // Lower power modes only use a fix every so often
+  if (fix.timestamp - lastUsedFixTime < mode.minInterval) return;
+  lastUsedFixTime = fix.timestamp;
+  
+  const result = updatePositionFilter(positionFilterState, fix, {
+    maxAccuracy: GPS_MAX_ACCURACY,
+    maxSpeed: GPS_MAX_SPEED,
+    maxOutliers: GPS_MAX_OUTLIERS,
+    processNoise: GPS_PROCESS_NOISE
+  });
+  positionFilterState = result.state;
+  
+  if (gpsAccuracyCallback) {
+    gpsAccuracyCallback({
+      accuracy: fix.accuracy,
+      smoothedAccuracy: getFilterAccuracy(positionFilterState),
+      accepted: result.accepted
+    });
+  }
+  
+  if (!result.accepted) {
+    console.log(`GPS fix ignored (${result.reason}): ${fix.lat.toFixed(6)}, ${fix.lon.toFixed(6)} ±${fix.accuracy.toFixed(0)}m`);
+    return;
+  }
+  
+  const newLat = positionFilterState.lat;
+  const newLon = positionFilterState.lon;
+  console.log(`GPS update: ${newLat.toFixed(6)}, ${newLon.toFixed(6)} (fix ±${fix.accuracy.toFixed(0)}m${result.reason ? `, ${result.reason}` : ''})`);
+  
+  // Check if we've moved enough to warrant a move (filters leftover jitter)
+  if (lastKnownPosition) {
+    const distance = calculateDistance(
+      lastKnownPosition.lat,
+      lastKnownPosition.lon,
+      newLat,
+      newLon
+    );
     
-    // Get current GPS position
-    if (!navigator.geolocation) {
-      console.warn('Geolocation not available');
-      return;
-    }
+    console.log(`Distance moved: ${distance.toFixed(2)}m (threshold: ${gpsDistanceThreshold}m)`);
     
-    navigator.geolocation.getCurrentPosition(
-      (position) => {
-        const newLat = position.coords.latitude;
-        const newLon = position.coords.longitude;
-        
-        console.log(`GPS update: ${newLat.toFixed(6)}, ${newLon.toFixed(6)}`);
-        
-        // Check if we've moved enough to warrant a reload
-        if (lastKnownPosition) {
-          const distance = calculateDistance(
-            lastKnownPosition.lat,
-            lastKnownPosition.lon,
-            newLat,
-            newLon
-          );
-          
-          console.log(`Distance moved: ${distance.toFixed(2)}m (threshold: ${gpsDistanceThreshold}m)`);
-          
-          if (distance > gpsDistanceThreshold) {
-            console.log('Distance threshold exceeded - reloading tiles');
-            lastKnownPosition = { lat: newLat, lon: newLon };
-            currentLocation = { lat: newLat, lon: newLon };
-            refreshLocationAndTiles();
-          } else {
-            console.log('Distance below threshold - no reload needed');
-          }
-        } else {
-          // First update - just store position
-          lastKnownPosition = { lat: newLat, lon: newLon };
-          currentLocation = { lat: newLat, lon: newLon };
-          console.log('Initial position stored');
-        }
-      },
-      (error) => {
-        console.warn('GPS tracking error:', error);
-      },
-      { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
-    );
-  }, gpsUpdateInterval * 1000); // Convert seconds to milliseconds
+    if (distance > gpsDistanceThreshold) {
+      console.log('Distance threshold exceeded - moving to new position');
+      lastKnownPosition = { lat: newLat, lon: newLon };
+      currentLocation = { lat: newLat, lon: newLon };
+      if (positionUpdateCallback) {
+        positionUpdateCallback(newLat, newLon);
+      }
+      if (updateCurrentLocationDisplayCallback) {
+        updateCurrentLocationDisplayCallback();
+      }
+    } else {
+      console.log('Distance below threshold - no move needed');
+    }
+  } else {
+    // First update - just store position
+    lastKnownPosition = { lat: newLat, lon: newLon };
+    currentLocation = { lat: newLat, lon: newLon };
+    console.log('Initial position stored');
+  }
 }
 
 /**
- * Stop periodic GPS tracking
+ * Stop watching the GPS position
  */
 export function stopGPSTracking() {
-  if (gpsTrackingIntervalId) {
-    clearInterval(gpsTrackingIntervalId);
-    gpsTrackingIntervalId = null;
+  if (gpsWatchId !== null) {
+    gpsWatchSource.clearWatch(gpsWatchId);
+    gpsWatchId = null;
+    gpsWatchSource = null;
+    positionFilterState = null;
+    lastUsedFixTime = 0;
+    if (gpsAccuracyCallback) {
+      gpsAccuracyCallback(null);
+    }
     console.log('GPS tracking stopped');
   }
 }
@@ -228,12 +336,14 @@ export function setIsLiveTrackingEnabled(enabled) {
   isLiveTrackingEnabled = enabled;
 }
 
-export function getGpsUpdateInterval() {
-  return gpsUpdateInterval;
+export function getGpsPowerMode() {
+  return gpsPowerMode;
 }
 
-export function setGpsUpdateInterval(interval) {
-  gpsUpdateInterval = interval;
+export function setGpsPowerMode(mode) {
+  if (GPS_POWER_MODES[mode]) {
+    gpsPowerMode = mode;
+  }
 }
 
 export function getGpsDistanceThreshold() {
@@ -0,0 +1,126 @@
+/**
+ * Time-lapse history - scrub the sky back through dated tile snapshots
+ */
+import { getTileGridSnapshotTimes, showTileGridAt, showLiveTiles } from './tiles.js';
+import { HISTORY_FRAME_DURATION } from './config.js';
+
+// Timeline state
+let frames = []; // Snapshot times (ms) stored for the current grid, oldest first
+let frameIndex = null; // Frame being shown, null for live tiles
+let playing = false;
+let playbackTimeoutId = null;
+
+// Callback for timeline updates (set by ui module)
+let historyChangeCallback = null;
+
+/**
+ * Set callback for timeline changes, called with { frames, frameIndex, playing }
+ */
+export function setHistoryChangeCallback(callback) {
+  historyChangeCallback = callback;
+}
+
+/**
+ * Tell the UI what the timeline looks like now
+ */
+function notifyHistoryChange() {
+  if (historyChangeCallback) {
+    historyChangeCallback({ frames, frameIndex, playing });
+  }
+}
+
+/**
+ * Reload the snapshot times for the tiles around the user
+ * @returns {Promise<number[]>} Snapshot times (ms), oldest first
+ */
+export async function loadHistoryTimeline() {
+  const shownTime = frameIndex !== null ? frames[frameIndex] : null;
+  frames = await getTileGridSnapshotTimes();
+  // Keep showing the same moment if it is still on the timeline
+  if (shownTime !== null) {
+    const index = frames.indexOf(shownTime);
+    frameIndex = index >= 0 ? index : null;
+    if (frameIndex === null) showLiveTiles();
+  }
+  console.log(`History timeline has ${frames.length} snapshot(s)`);
+  notifyHistoryChange();
+  return frames;
+}
+
+/**
+ * Show a frame of the timeline (an index past the last frame goes back to live tiles)
+ * @param {number|null} index - Frame index, null for live tiles
+ */
+export async function showHistoryFrame(index) {
+  if (index === null || index >= frames.length) {
+    frameIndex = null;
+    showLiveTiles();
+    notifyHistoryChange();
+    return;
+  }
+
+  frameIndex = Math.max(0, index);
+  notifyHistoryChange();
+  await showTileGridAt(frames[frameIndex]);
+}
+
+/**
+ * Get the frame being shown (null for live tiles)
+ */
+export function getHistoryFrameIndex() {
+  return frameIndex;
+}
+
+/**
+ * Play the timeline from the current frame (or the oldest one) up to the live tiles
+ */
+export function startHistoryPlayback() {
+  if (playing || frames.length === 0) return;
+  playing = true;
+
+  // Start over when playback is started from the live tiles or the last frame
+  let next = frameIndex === null || frameIndex >= frames.length - 1 ? 0 : frameIndex + 1;
+
+  const step = async () => {
+    // Wait for each swap so slow decodes don't skip frames
+    await showHistoryFrame(next);
+    if (!playing) return;
+
+    next++;
+    if (next > frames.length) {
+      stopHistoryPlayback();
+      return;
+    }
+    playbackTimeoutId = setTimeout(step, HISTORY_FRAME_DURATION);
+  };
+
+  console.log('History playback started');
+  step();
+}
+
+/**
+ * Pause timeline playback on the current frame
+ */
+export function stopHistoryPlayback() {
+  if (!playing) return;
+  playing = false;
+  clearTimeout(playbackTimeoutId);
+  playbackTimeoutId = null;
+  console.log('History playback stopped');
+  notifyHistoryChange();
+}
+
+/**
+ * Check whether the timeline is playing
+ */
+export function isHistoryPlaying() {
+  return playing;
+}
+
+/**
+ * Stop playback and go back to the live tiles
+ */
+export function exitHistory() {
+  stopHistoryPlayback();
+  showHistoryFrame(null);
+}
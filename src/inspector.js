@@ -0,0 +1,183 @@
+/**
+ * Pixel inspector - tap a pixel in the sky to identify it
+ */
+import * as THREE from 'three';
+import { pickTilePixel } from './tiles.js';
+import { decodeImagePixels } from './pixels.js';
+import { findPaletteColor } from './palette.js';
+import { tileToLatLon } from './utils.js';
+import { getPixelInfoUrl, getTileRequestInit, getTileZoom } from './tileSources.js';
+import { WPLACE_SITE_URL, WPLACE_LINK_ZOOM } from './config.js';
+
+// Tap detection (anything longer or further is a look-around drag)
+const TAP_MAX_DISTANCE = 8; // px
+const TAP_MAX_DURATION = 400; // ms
+
+let tapStart = null; // { x, y, time } of the current pointer press
+let lastDecoded = { blob: null, pixels: null }; // Decoded tile reused for repeat taps
+let inspectRequestId = 0; // Ignores results from taps that were superseded
+let lastInspectedPixel = null; // { tileX, tileY, pixelX, pixelY } of the last tapped pixel
+
+// UI element references
+let popover, swatch, colorName, coordsText, ownerText, wplaceLink, closeBtn;
+
+const pointer = new THREE.Vector2();
+const canvas = document.getElementById('glscene');
+
+/**
+ * Initialize tap handling and popover elements
+ */
+export function initPixelInspector() {
+  popover = document.getElementById('pixel-popover');
+  swatch = document.getElementById('pixel-swatch');
+  colorName = document.getElementById('pixel-color-name');
+  coordsText = document.getElementById('pixel-coords');
+  ownerText = document.getElementById('pixel-owner');
+  wplaceLink = document.getElementById('pixel-wplace-link');
+  closeBtn = document.getElementById('pixel-popover-close');
+
+  if (closeBtn) closeBtn.addEventListener('click', hidePixelPopover);
+
+  canvas.addEventListener('pointerdown', (event) => {
+    tapStart = { x: event.clientX, y: event.clientY, time: performance.now() };
+  });
+
+  canvas.addEventListener('pointerup', (event) => {
+    if (!tapStart) return;
+    const moved = Math.hypot(event.clientX - tapStart.x, event.clientY - tapStart.y);
+    const duration = performance.now() - tapStart.time;
+    tapStart = null;
+
+    if (moved <= TAP_MAX_DISTANCE && duration <= TAP_MAX_DURATION) {
+      inspectPixelAt(event.clientX, event.clientY);
+    }
+  });
+}
+
+/**
+ * Identify the pixel under a screen position and show it in the popover
+ */
+async function inspectPixelAt(clientX, clientY) {
+  const rect = canvas.getBoundingClientRect();
+  pointer.set(
+    ((clientX - rect.left) / rect.width) * 2 - 1,
+    -((clientY - rect.top) / rect.height) * 2 + 1
+  );
+
+  const hit = pickTilePixel(pointer);
+  if (!hit) {
+    hidePixelPopover();
+    return;
+  }
+
+  const requestId = ++inspectRequestId;
+  const { tileX, tileY, pixelX, pixelY, blob } = hit;
+  lastInspectedPixel = { tileX, tileY, pixelX, pixelY };
+  console.log(`Inspecting pixel ${pixelX},${pixelY} in tile ${tileX},${tileY}`);
+
+  // Decode the tile once and reuse it while the user taps around the same tile
+  if (lastDecoded.blob !== blob) {
+    lastDecoded = { blob, pixels: await decodeImagePixels(blob) };
+    if (requestId !== inspectRequestId) return;
+  }
+  const { data, width } = lastDecoded.pixels;
+  const i = (pixelY * width + pixelX) * 4;
+  const color = findPaletteColor(data[i], data[i + 1], data[i + 2], data[i + 3]);
+
+  showPixelPopover(clientX, clientY, { tileX, tileY, pixelX, pixelY, color });
+  loadPixelOwner(tileX, tileY, pixelX, pixelY, requestId);
+}
+
+/**
+ * Build the wplace.live link for a pixel
+ */
+function getWplaceUrl(tileX, tileY, pixelX, pixelY) {
+  // Aim at the pixel center
+  const { lat, lon } = tileToLatLon(tileX, tileY, pixelX + 0.5, pixelY + 0.5, getTileZoom());
+  return `${WPLACE_SITE_URL}/?lat=${lat.toFixed(7)}&lng=${lon.toFixed(7)}&zoom=${WPLACE_LINK_ZOOM}`;
+}
+
+/**
+ * Show the popover next to the tapped position
+ */
+function showPixelPopover(clientX, clientY, { tileX, tileY, pixelX, pixelY, color }) {
+  if (!popover) return;
+
+  if (swatch) {
+    swatch.style.background = color.transparent ? 'transparent' : color.hex;
+    swatch.classList.toggle('transparent', color.transparent);
+  }
+  if (colorName) {
+    colorName.textContent = color.transparent ? 'Unpainted' : `${color.name} (${color.hex})`;
+  }
+  if (coordsText) {
+    coordsText.textContent = `Tile ${tileX}, ${tileY} · Pixel ${pixelX}, ${pixelY}`;
+  }
+  if (ownerText) {
+    ownerText.textContent = 'Painted by: loading...';
+  }
+  if (wplaceLink) {
+    wplaceLink.href = getWplaceUrl(tileX, tileY, pixelX, pixelY);
+  }
+
+  popover.classList.remove('hidden');
+
+  // Keep the popover on screen
+  const { offsetWidth, offsetHeight } = popover;
+  const left = Math.min(Math.max(10, clientX + 12), window.innerWidth - offsetWidth - 10);
+  const top = Math.min(Math.max(10, clientY + 12), window.innerHeight - offsetHeight - 10);
+  popover.style.left = `${left}px`;
+  popover.style.top = `${top}px`;
+}
+
+/**
+ * Get the last pixel tapped in the sky (null if none yet)
+ */
+export function getLastInspectedPixel() {
+  return lastInspectedPixel;
+}
+
+/**
+ * Hide the pixel popover
+ */
+export function hidePixelPopover() {
+  inspectRequestId++;
+  if (popover) popover.classList.add('hidden');
+}
+
+/**
+ * Request who painted a pixel from the backend through the proxy
+ */
+async function loadPixelOwner(tileX, tileY, pixelX, pixelY, requestId) {
+  const url = getPixelInfoUrl(tileX, tileY, pixelX, pixelY);
+  if (!url) {
+    if (ownerText) ownerText.textContent = 'Painted by: not available for this tile source';
+    return;
+  }
+
+  let text;
+  try {
+    const response = await fetch(url, getTileRequestInit());
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const info = await response.json();
+    const paintedBy = info?.paintedBy;
+
+    if (!paintedBy || !paintedBy.id) {
+      text = 'Painted by: nobody yet';
+    } else {
+      const name = paintedBy.name ? `${paintedBy.name} #${paintedBy.id}` : `#${paintedBy.id}`;
+      const alliance = paintedBy.allianceName ? ` (${paintedBy.allianceName})` : '';
+      text = `Painted by: ${name}${alliance}`;
+    }
+  } catch (err) {
+    console.warn(`Failed to load pixel owner for ${tileX},${tileY} ${pixelX},${pixelY}:`, err);
+    text = 'Painted by: unavailable';
+  }
+
+  // A newer tap (or closing the popover) wins
+  if (requestId === inspectRequestId && ownerText) {
+    ownerText.textContent = text;
+  }
+}
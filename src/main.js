@@ -6,20 +6,81 @@
  */
 
 import { renderer, scene, camera } from './scene.js';
-import { updateControls } from './controls.js';
+import { updateControls, setReplayOrientation, setHeadingCalibration } from './controls.js';
 import { initializeUI, startAR, updateCurrentLocationDisplay, checkAndCapture } from './ui.js';
-import { setRefreshTilesCallback, setUpdateCurrentLocationDisplayCallback } from './geolocation.js';
-import { loadTileGridTextures } from './tiles.js';
+import { setRefreshTilesCallback, setPositionUpdateCallback, setUpdateCurrentLocationDisplayCallback } from './geolocation.js';
+import { jumpToPosition, moveToPosition, updateMovement } from './movement.js';
+import {
+  setTileGroupHeading,
+  updateTileLoading,
+  updateTileEffects,
+  setGridChangeCallback,
+  setTilesRefreshedCallback
+} from './tiles.js';
+import { updateTemplatePlacement, checkTemplateProgress } from './template.js';
+import { setHeadingOffsetCallback } from './compass.js';
+import { setSkyHeading, updateSky } from './sky.js';
+import { setHeadingCalibrationCallback, loadHeadingCalibration } from './calibration.js';
+import {
+  recordHeading,
+  isSessionReplaying,
+  updateSessionReplay,
+  setReplayOrientationCallback,
+  setReplayHeadingCallback
+} from './session.js';
 
 // Set up callbacks for geolocation module
 setRefreshTilesCallback((lat, lon) => {
-  loadTileGridTextures(lat, lon);
+  jumpToPosition(lat, lon);
+});
+
+// Glide between live tracking fixes instead of reloading
+setPositionUpdateCallback((lat, lon) => {
+  moveToPosition(lat, lon);
 });
 
 setUpdateCurrentLocationDisplayCallback(() => {
   updateCurrentLocationDisplay();
 });
 
+// Set up callback for compass module
+setHeadingOffsetCallback((heading) => {
+  recordHeading(heading);
+  // A replayed session brings its own heading
+  if (!isSessionReplaying()) {
+    setTileGroupHeading(heading);
+    setSkyHeading(heading);
+  }
+});
+
+// Manual heading calibration turns the view on top of the sensors (saved per device)
+setHeadingCalibrationCallback((yaw) => {
+  setHeadingCalibration(yaw);
+});
+loadHeadingCalibration();
+
+// Replayed sessions drive the controls and compass instead of the sensors
+setReplayOrientationCallback((quaternion) => {
+  setReplayOrientation(quaternion);
+});
+
+setReplayHeadingCallback((heading) => {
+  setTileGroupHeading(heading);
+  setSkyHeading(heading);
+});
+
+// Keep the template overlay anchored as the grid moves
+setGridChangeCallback(() => {
+  updateTemplatePlacement();
+});
+
+// Re-check template progress whenever live refresh brings in new pixels
+setTilesRefreshedCallback((changedPixels) => {
+  if (changedPixels > 0) {
+    checkTemplateProgress();
+  }
+});
+
 // Initialize UI when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   initializeUI();
@@ -28,7 +89,12 @@ document.addEventListener('DOMContentLoaded', () => {
 // Render loop
 renderer.setAnimationLoop((t) => {
   const currentTime = t || performance.now();
+  updateSessionReplay(currentTime);
   updateControls(currentTime);
+  updateMovement(currentTime);
+  updateTileLoading();
+  updateTileEffects(currentTime);
+  updateSky(currentTime);
   renderer.render(scene, camera);
   
   // Check if photo capture is requested and perform it after rendering
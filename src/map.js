@@ -13,11 +13,13 @@ import {
 // Map system
 let locationMap = null; // Leaflet map instance
 let locationMarker = null; // Marker for selected location
+let landmarkMarker = null; // Marker for the heading calibration landmark
+let landmarkPickCallback = null; // Set while the next click picks a landmark
 
 // UI element references (will be set by ui.js)
 let selectedCoordsDisplay = null;
 let liveTrackingToggle = null;
-let updateFrequencySelect = null;
+let gpsPowerSelect = null;
 let gpsLatInput = null;
 let gpsLonInput = null;
 let manualInputs = null;
@@ -29,7 +31,7 @@ let toggleManual = null;
 export function setUIElements(elements) {
   selectedCoordsDisplay = elements.selectedCoordsDisplay;
   liveTrackingToggle = elements.liveTrackingToggle;
-  updateFrequencySelect = elements.updateFrequencySelect;
+  gpsPowerSelect = elements.gpsPowerSelect;
   gpsLatInput = elements.gpsLatInput;
   gpsLonInput = elements.gpsLonInput;
   manualInputs = elements.manualInputs;
@@ -78,6 +80,61 @@ export function initializeMap() {
     locationMarker = L.marker([currentLat, currentLon], {
       draggable: true
     }).addTo(locationMap);
+    
+    // Handle map clicks (registered once, the map is reused between openings)
+    locationMap.on('click', function(e) {
+      const lat = e.latlng.lat;
+      const lon = e.latlng.lng;
+      
+      // A click while picking a calibration landmark doesn't move the location
+      if (landmarkPickCallback) {
+        const callback = landmarkPickCallback;
+        landmarkPickCallback = null;
+        showLandmarkOnMap({ lat, lon });
+        callback({ lat, lon });
+        return;
+      }
+      
+      // Update marker position
+      locationMarker.setLatLng([lat, lon]);
+      
+      // Update selected location
+      setSelectedLocation({ lat, lon });
+      updateSelectedLocationDisplay();
+      
+      // Instantly disable tracking toggle and power setting to show user it will be turned off
+      if (liveTrackingToggle) {
+        liveTrackingToggle.checked = false;
+        liveTrackingToggle.disabled = true;
+      }
+      if (gpsPowerSelect) {
+        gpsPowerSelect.disabled = true;
+      }
+      
+      console.log('Map clicked:', getSelectedLocation());
+    });
+    
+    // Handle marker drag
+    locationMarker.on('dragend', function(e) {
+      const position = e.target.getLatLng();
+      const lat = position.lat;
+      const lon = position.lng;
+      
+      // Update selected location
+      setSelectedLocation({ lat, lon });
+      updateSelectedLocationDisplay();
+      
+      // Instantly disable tracking toggle and power setting to show user it will be turned off
+      if (liveTrackingToggle) {
+        liveTrackingToggle.checked = false;
+        liveTrackingToggle.disabled = true;
+      }
+      if (gpsPowerSelect) {
+        gpsPowerSelect.disabled = true;
+      }
+      
+      console.log('Marker dragged:', getSelectedLocation());
+    });
   } else {
     // Map already exists - update marker and view to current location
     locationMarker.setLatLng([currentLat, currentLon]);
@@ -88,52 +145,6 @@ export function initializeMap() {
   setSelectedLocation({ lat: currentLat, lon: currentLon });
   updateSelectedLocationDisplay();
   
-  // Handle map clicks
-  locationMap.on('click', function(e) {
-    const lat = e.latlng.lat;
-    const lon = e.latlng.lng;
-    
-    // Update marker position
-    locationMarker.setLatLng([lat, lon]);
-    
-    // Update selected location
-    setSelectedLocation({ lat, lon });
-    updateSelectedLocationDisplay();
-    
-    // Instantly disable tracking toggle and frequency dropdown to show user it will be turned off
-    if (liveTrackingToggle) {
-      liveTrackingToggle.checked = false;
-      liveTrackingToggle.disabled = true;
-    }
-    if (updateFrequencySelect) {
-      updateFrequencySelect.disabled = true;
-    }
-    
-    console.log('Map clicked:', getSelectedLocation());
-  });
-  
-  // Handle marker drag
-  locationMarker.on('dragend', function(e) {
-    const position = e.target.getLatLng();
-    const lat = position.lat;
-    const lon = position.lng;
-    
-    // Update selected location
-    setSelectedLocation({ lat, lon });
-    updateSelectedLocationDisplay();
-    
-    // Instantly disable tracking toggle and frequency dropdown to show user it will be turned off
-    if (liveTrackingToggle) {
-      liveTrackingToggle.checked = false;
-      liveTrackingToggle.disabled = true;
-    }
-    if (updateFrequencySelect) {
-      updateFrequencySelect.disabled = true;
-    }
-    
-    console.log('Marker dragged:', getSelectedLocation());
-  });
-  
   // Invalidate size after modal is shown (fixes display issues)
   setTimeout(() => {
     if (locationMap) {
@@ -142,6 +153,46 @@ export function initializeMap() {
   }, 100);
 }
 
+/**
+ * Let the next map click pick a landmark instead of a location
+ * @param {Function} callback - Called with { lat, lon } of the picked landmark
+ */
+export function pickLandmarkOnMap(callback) {
+  landmarkPickCallback = callback;
+}
+
+/**
+ * Stop waiting for a landmark pick, so the next map click moves the location again
+ */
+export function cancelLandmarkPick() {
+  landmarkPickCallback = null;
+}
+
+/**
+ * Check whether the next map click picks a landmark
+ */
+export function isPickingLandmark() {
+  return landmarkPickCallback !== null;
+}
+
+/**
+ * Show (or with null, remove) the calibration landmark on the map
+ */
+function showLandmarkOnMap(landmark) {
+  if (!locationMap) return;
+  if (landmarkMarker) {
+    landmarkMarker.remove();
+    landmarkMarker = null;
+  }
+  if (landmark) {
+    landmarkMarker = L.circleMarker([landmark.lat, landmark.lon], {
+      radius: 8,
+      color: '#ff5252',
+      fillOpacity: 0.8
+    }).addTo(locationMap);
+  }
+}
+
 /**
  * Toggle manual input visibility
  */
@@ -201,13 +252,13 @@ export function applyManualCoordinates() {
   setSelectedLocation({ lat, lon });
   updateSelectedLocationDisplay();
   
-  // Instantly disable tracking toggle and frequency dropdown to show user it will be turned off
+  // Instantly disable tracking toggle and power setting to show user it will be turned off
   if (liveTrackingToggle) {
     liveTrackingToggle.checked = false;
     liveTrackingToggle.disabled = true;
   }
-  if (updateFrequencySelect) {
-    updateFrequencySelect.disabled = true;
+  if (gpsPowerSelect) {
+    gpsPowerSelect.disabled = true;
   }
   
   // Hide manual inputs
@@ -0,0 +1,68 @@
+/**
+ * Smooth movement - glide the sky between GPS fixes instead of jumping
+ */
+import { loadTileGridTextures, setViewerPosition } from './tiles.js';
+import { calculateDistance } from './utils.js';
+import { MOVEMENT_GLIDE_DURATION, MOVEMENT_MAX_GLIDE_DISTANCE } from './config.js';
+
+let shownPosition = null; // { lat, lon } the sky is currently drawn for
+let glide = null; // { from, to, startTime } while moving towards the latest fix
+
+/**
+ * Put the viewer at a position right away (start-up, picked location, big jumps)
+ */
+export function jumpToPosition(lat, lon) {
+  glide = null;
+  shownPosition = { lat, lon };
+  loadTileGridTextures(lat, lon);
+}
+
+/**
+ * Glide towards a new GPS fix
+ * The glide is short (MOVEMENT_GLIDE_DURATION), so the sky reaches each fix soon after it
+ * arrives rather than trailing a whole fix interval behind.
+ */
+export function moveToPosition(lat, lon) {
+  if (!shownPosition) {
+    jumpToPosition(lat, lon);
+    return;
+  }
+
+  const distance = calculateDistance(shownPosition.lat, shownPosition.lon, lat, lon);
+  if (distance > MOVEMENT_MAX_GLIDE_DISTANCE) {
+    console.log(`Moved ${distance.toFixed(0)}m - jumping instead of gliding`);
+    jumpToPosition(lat, lon);
+    return;
+  }
+
+  glide = { from: { ...shownPosition }, to: { lat, lon }, startTime: performance.now() };
+  console.log(`Gliding ${distance.toFixed(1)}m`);
+}
+
+/**
+ * Advance the glide (called from render loop)
+ * @param {number} currentTime - Current time from animation loop (ms)
+ */
+export function updateMovement(currentTime) {
+  if (!glide) return;
+
+  const progress = Math.min(1, Math.max(0, (currentTime - glide.startTime) / MOVEMENT_GLIDE_DURATION));
+  const eased = progress * progress * (3 - 2 * progress); // Ease in and out (smoothstep)
+  const { from, to } = glide;
+  shownPosition = {
+    lat: from.lat + (to.lat - from.lat) * eased,
+    lon: from.lon + (to.lon - from.lon) * eased
+  };
+  setViewerPosition(shownPosition.lat, shownPosition.lon, progress >= 1);
+
+  if (progress >= 1) {
+    glide = null;
+  }
+}
+
+/**
+ * Get the position the sky is currently drawn for (null before start-up)
+ */
+export function getShownPosition() {
+  return shownPosition;
+}
@@ -0,0 +1,142 @@
+/**
+ * Orientation smoothing filters - turn the raw sensor quaternion stream into a steady camera
+ *
+ * Each filter is a pure update function over an immutable state, with no browser APIs,
+ * so it can be run over a recorded session (see session.js) to compare settings:
+ *
+ *   const filtered = runOrientationFilter('oneEuro', session.orientation, params);
+ *
+ * See test/orientationFilters.test.js (npm test).
+ */
+import * as THREE from 'three';
+import {
+  TAU_BASE,
+  TAU_SLOW,
+  ADAPTIVE_SNAP_ANGLE,
+  ONE_EURO_MIN_CUTOFF,
+  ONE_EURO_BETA,
+  ONE_EURO_D_CUTOFF
+} from './config.js';
+
+/**
+ * Angle in radians between two rotations
+ */
+function angleBetween(a, b) {
+  const dot = THREE.MathUtils.clamp(a.dot(b), -1, 1);
+  return 2 * Math.acos(Math.abs(dot));
+}
+
+/**
+ * Framerate-independent EMA factor for a time constant (seconds)
+ */
+function smoothingFactor(dt, tau) {
+  return dt / (tau + dt);
+}
+
+/**
+ * Adaptive EMA - smooth when steady, snappy on quick turns
+ */
+function updateAdaptive(state, sample, dt, params) {
+  if (!state) return { quaternion: sample.clone() };
+
+  // Map the turn angle to a time constant between slow and fast
+  const k = THREE.MathUtils.clamp(angleBetween(state.quaternion, sample) / params.snapAngle, 0, 1);
+  const tau = THREE.MathUtils.lerp(params.tauSlow, params.tauBase, k);
+
+  return { quaternion: state.quaternion.clone().slerp(sample, smoothingFactor(dt, tau)) };
+}
+
+/**
+ * One-Euro filter - the cutoff frequency rises with angular speed
+ * (Casiez et al. 2012), so slow drift is smoothed hard and fast turns lag little
+ */
+function updateOneEuro(state, sample, dt, params) {
+  if (!state) return { quaternion: sample.clone(), raw: sample.clone(), speed: 0 };
+
+  // Smoothed angular speed of the raw signal (rad/s)
+  const rate = angleBetween(state.raw, sample) / dt;
+  const speed = state.speed + smoothingFactor(dt, 1 / (2 * Math.PI * params.dCutoff)) * (rate - state.speed);
+
+  const cutoff = params.minCutoff + params.beta * speed; // Hz
+  const alpha = smoothingFactor(dt, 1 / (2 * Math.PI * cutoff));
+
+  return {
+    quaternion: state.quaternion.clone().slerp(sample, alpha),
+    raw: sample.clone(),
+    speed
+  };
+}
+
+/**
+ * No smoothing - the camera follows the sensors exactly
+ */
+function updatePassthrough(state, sample) {
+  return { quaternion: sample.clone() };
+}
+
+// Available filters and their tunable parameters (value is the default)
+export const ORIENTATION_FILTERS = {
+  adaptive: {
+    name: 'Adaptive EMA',
+    update: updateAdaptive,
+    params: [
+      { key: 'tauSlow', label: 'Steady smoothing (s)', min: 0, max: 0.5, step: 0.01, value: TAU_SLOW },
+      { key: 'tauBase', label: 'Turning smoothing (s)', min: 0, max: 0.2, step: 0.005, value: TAU_BASE },
+      { key: 'snapAngle', label: 'Turn for full speed (rad)', min: 0.05, max: 1, step: 0.05, value: ADAPTIVE_SNAP_ANGLE }
+    ]
+  },
+  oneEuro: {
+    name: 'One-Euro',
+    update: updateOneEuro,
+    params: [
+      { key: 'minCutoff', label: 'Min cutoff (Hz)', min: 0.1, max: 10, step: 0.1, value: ONE_EURO_MIN_CUTOFF },
+      { key: 'beta', label: 'Speed coefficient', min: 0, max: 20, step: 0.5, value: ONE_EURO_BETA },
+      { key: 'dCutoff', label: 'Speed cutoff (Hz)', min: 0.1, max: 10, step: 0.1, value: ONE_EURO_D_CUTOFF }
+    ]
+  },
+  none: {
+    name: 'None',
+    update: updatePassthrough,
+    params: []
+  }
+};
+
+/**
+ * Default parameters for a filter
+ * @param {string} id - Key of ORIENTATION_FILTERS
+ * @returns {Object} Parameter values by key
+ */
+export function getDefaultFilterParams(id) {
+  return Object.fromEntries(ORIENTATION_FILTERS[id].params.map(({ key, value }) => [key, value]));
+}
+
+/**
+ * Feed one raw sample into a filter
+ * @param {string} id - Key of ORIENTATION_FILTERS
+ * @param {Object|null} state - Filter state from the previous call (null to start)
+ * @param {THREE.Quaternion} sample - Raw orientation
+ * @param {number} dt - Seconds since the previous sample
+ * @param {Object} params - Parameter values by key
+ * @returns {Object} New state; state.quaternion is the smoothed orientation
+ */
+export function filterOrientation(id, state, sample, dt, params) {
+  return ORIENTATION_FILTERS[id].update(state, sample, Math.max(0.001, dt), params);
+}
+
+/**
+ * Run a filter over a recorded sample stream
+ * @param {string} id - Key of ORIENTATION_FILTERS
+ * @param {Array<[number, number, number, number, number]>} samples - [t (ms), x, y, z, w]
+ * @param {Object} params - Parameter values by key
+ * @returns {Array<[number, number, number, number, number]>} Smoothed samples at the same times
+ */
+export function runOrientationFilter(id, samples, params) {
+  let state = null;
+  let lastTime = null;
+  return samples.map(([t, ...q]) => {
+    const dt = lastTime === null ? 0 : (t - lastTime) / 1000;
+    lastTime = t;
+    state = filterOrientation(id, state, new THREE.Quaternion().fromArray(q), dt, params);
+    return [t, ...state.quaternion.toArray()];
+  });
+}
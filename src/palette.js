@@ -0,0 +1,95 @@
+/**
+ * wplace.live color palette
+ */
+
+// [name, r, g, b] for every paintable color (free colors first, then premium)
+const PALETTE = [
+  ['Black', 0, 0, 0],
+  ['Dark Gray', 60, 60, 60],
+  ['Gray', 120, 120, 120],
+  ['Light Gray', 210, 210, 210],
+  ['White', 255, 255, 255],
+  ['Deep Red', 96, 0, 24],
+  ['Red', 237, 28, 36],
+  ['Orange', 255, 127, 39],
+  ['Gold', 246, 170, 9],
+  ['Yellow', 249, 221, 59],
+  ['Light Yellow', 255, 250, 188],
+  ['Dark Green', 14, 185, 104],
+  ['Green', 19, 230, 123],
+  ['Light Green', 135, 255, 94],
+  ['Dark Teal', 12, 129, 110],
+  ['Teal', 16, 174, 166],
+  ['Light Teal', 19, 225, 190],
+  ['Dark Blue', 40, 80, 158],
+  ['Blue', 64, 147, 228],
+  ['Cyan', 96, 247, 242],
+  ['Indigo', 107, 80, 246],
+  ['Light Indigo', 153, 177, 251],
+  ['Dark Purple', 120, 12, 153],
+  ['Purple', 170, 56, 185],
+  ['Light Purple', 224, 159, 249],
+  ['Dark Pink', 203, 0, 122],
+  ['Pink', 236, 31, 128],
+  ['Light Pink', 243, 141, 169],
+  ['Dark Brown', 104, 70, 52],
+  ['Brown', 149, 104, 42],
+  ['Beige', 248, 178, 119],
+  ['Medium Gray', 170, 170, 170],
+  ['Dark Red', 165, 14, 30],
+  ['Light Red', 250, 128, 114],
+  ['Dark Orange', 228, 92, 26],
+  ['Light Tan', 214, 181, 148],
+  ['Dark Goldenrod', 156, 132, 49],
+  ['Goldenrod', 197, 173, 49],
+  ['Light Goldenrod', 232, 212, 95],
+  ['Dark Olive', 74, 107, 58],
+  ['Olive', 90, 148, 74],
+  ['Light Olive', 132, 197, 115],
+  ['Dark Cyan', 15, 121, 159],
+  ['Light Cyan', 187, 250, 242],
+  ['Light Blue', 125, 199, 255],
+  ['Dark Indigo', 77, 49, 184],
+  ['Dark Slate Blue', 74, 66, 132],
+  ['Slate Blue', 122, 113, 196],
+  ['Light Slate Blue', 181, 174, 241],
+  ['Dark Peach', 155, 82, 73],
+  ['Peach', 209, 128, 120],
+  ['Light Peach', 250, 182, 164],
+  ['Light Brown', 219, 164, 99],
+  ['Dark Tan', 123, 99, 82],
+  ['Tan', 156, 132, 107],
+  ['Dark Beige', 209, 128, 81],
+  ['Light Beige', 255, 197, 165],
+  ['Dark Stone', 109, 100, 63],
+  ['Stone', 148, 140, 107],
+  ['Light Stone', 205, 197, 158],
+  ['Dark Slate', 51, 57, 65],
+  ['Slate', 109, 117, 141],
+  ['Light Slate', 179, 185, 209]
+];
+
+/**
+ * Format an RGB color as a CSS hex string
+ */
+export function rgbToHex(r, g, b) {
+  return '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Look up the palette entry for a pixel color
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @param {number} a - Alpha (0-255), 0 means the pixel is unpainted
+ * @returns {{name: string, hex: string, transparent: boolean}}
+ */
+export function findPaletteColor(r, g, b, a = 255) {
+  if (a === 0) {
+    return { name: 'Transparent', hex: null, transparent: true };
+  }
+
+  const hex = rgbToHex(r, g, b);
+  const entry = PALETTE.find(([, pr, pg, pb]) => pr === r && pg === g && pb === b);
+  return { name: entry ? entry[0] : 'Unknown color', hex, transparent: false };
+}
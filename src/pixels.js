@@ -0,0 +1,58 @@
+/**
+ * Pixel-level helpers for tile images (decoding and diffing)
+ */
+
+/**
+ * Decode an image blob into raw RGBA pixels
+ * @param {Blob} blob - PNG image data
+ * @returns {Promise<ImageData>}
+ */
+export async function decodeImagePixels(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  return ctx.getImageData(0, 0, width, height);
+}
+
+/**
+ * Build a change mask between two decoded images of the same tile
+ * Fully transparent pixels count as identical regardless of their RGB values.
+ * The mask is stored bottom row first so it lines up with flipped tile textures.
+ * @param {ImageData} before - Previous pixels
+ * @param {ImageData} after - New pixels
+ * @returns {{mask: Uint8Array, width: number, height: number, changed: number}}
+ */
+export function createChangeMask(before, after) {
+  const { width, height } = after;
+  const mask = new Uint8Array(width * height);
+  let changed = 0;
+
+  // A resized image can't be compared pixel by pixel - treat it as unchanged
+  if (before.width !== width || before.height !== height) {
+    return { mask, width, height, changed };
+  }
+
+  const a = before.data;
+  const b = after.data;
+  for (let y = 0; y < height; y++) {
+    const maskRow = (height - 1 - y) * width;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const bothClear = a[i + 3] === 0 && b[i + 3] === 0;
+      if (bothClear) continue;
+      if (a[i] !== b[i] || a[i + 1] !== b[i + 1] || a[i + 2] !== b[i + 2] || a[i + 3] !== b[i + 3]) {
+        mask[maskRow + x] = 255;
+        changed++;
+      }
+    }
+  }
+
+  return { mask, width, height, changed };
+}
@@ -0,0 +1,86 @@
+/**
+ * GPS position filter - rejects inaccurate or impossible fixes and smooths the rest
+ *
+ * A minimal Kalman filter on lat/lon with the fix accuracy as measurement noise.
+ * Pure functions with no browser APIs, so it can be fed synthetic position streams:
+ *
+ *   let state = null;
+ *   for (const fix of fixes) {
+ *     ({ state } = updatePositionFilter(state, fix, options));
+ *   }
+ *
+ * See test/positionFilter.test.js (npm test).
+ */
+import { calculateDistance } from './utils.js';
+
+/**
+ * Start a filter at a fix
+ */
+function createFilterState(fix) {
+  return {
+    lat: fix.lat,
+    lon: fix.lon,
+    variance: fix.accuracy * fix.accuracy, // m²
+    timestamp: fix.timestamp,
+    outliers: 0 // Consecutive fixes rejected as jumps
+  };
+}
+
+/**
+ * Feed one fix into the filter
+ * @param {Object|null} state - Filter state from the previous call (null to start)
+ * @param {{lat: number, lon: number, accuracy: number, timestamp: number}} fix - Accuracy in meters, timestamp in ms
+ * @param {Object} options - Filter settings
+ * @param {number} options.maxAccuracy - Fixes less accurate than this (meters) are rejected
+ * @param {number} options.maxSpeed - Jumps faster than this (m/s, beyond the reported error) are rejected
+ * @param {number} options.maxOutliers - Rejected jumps in a row before the filter restarts at the new position
+ * @param {number} options.processNoise - How fast (m/s) the true position may drift between fixes
+ * @returns {{state: Object|null, accepted: boolean, reason: string|null}} reason is
+ *   'inaccurate' or 'jump' for rejected fixes, 'reset' when the filter restarted
+ */
+export function updatePositionFilter(state, fix, options) {
+  const { maxAccuracy, maxSpeed, maxOutliers, processNoise } = options;
+
+  if (!Number.isFinite(fix.accuracy) || fix.accuracy > maxAccuracy) {
+    return { state, accepted: false, reason: 'inaccurate' };
+  }
+
+  if (!state) {
+    return { state: createFilterState(fix), accepted: true, reason: null };
+  }
+
+  // Moving further than possible (after allowing for both errors) means a bad fix,
+  // unless it keeps happening - then the user really did move (e.g. a train)
+  const dt = Math.max(0, (fix.timestamp - state.timestamp) / 1000);
+  const distance = calculateDistance(state.lat, state.lon, fix.lat, fix.lon);
+  const allowed = maxSpeed * dt + fix.accuracy + Math.sqrt(state.variance);
+  if (distance > allowed) {
+    if (state.outliers + 1 >= maxOutliers) {
+      return { state: createFilterState(fix), accepted: true, reason: 'reset' };
+    }
+    return { state: { ...state, outliers: state.outliers + 1 }, accepted: false, reason: 'jump' };
+  }
+
+  // Uncertainty grows while time passes, then the fix pulls the estimate in by the Kalman gain
+  const variance = state.variance + dt * processNoise * processNoise;
+  const gain = variance / (variance + fix.accuracy * fix.accuracy);
+
+  return {
+    state: {
+      lat: state.lat + gain * (fix.lat - state.lat),
+      lon: state.lon + gain * (fix.lon - state.lon),
+      variance: (1 - gain) * variance,
+      timestamp: fix.timestamp,
+      outliers: 0
+    },
+    accepted: true,
+    reason: null
+  };
+}
+
+/**
+ * Estimated accuracy (meters, 1 sigma) of the smoothed position
+ */
+export function getFilterAccuracy(state) {
+  return state ? Math.sqrt(state.variance) : null;
+}
@@ -0,0 +1,95 @@
+/**
+ * Route file parsing - GPX and GeoJSON tracks to a list of points
+ */
+
+/**
+ * Parse a GPX or GeoJSON route
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to tell the formats apart
+ * @returns {Array<{lat: number, lon: number, time: number|null}>} time in ms since epoch, when the file has one
+ */
+export function parseRoute(text, fileName = '') {
+  const trimmed = text.trim();
+  const isGpx = trimmed.startsWith('<') || /\.gpx$/i.test(fileName);
+
+  let points;
+  if (isGpx) {
+    points = parseGpx(trimmed);
+  } else {
+    let json;
+    try {
+      json = JSON.parse(trimmed);
+    } catch {
+      throw new Error('Not a valid GPX or GeoJSON file');
+    }
+    points = parseGeoJson(json);
+  }
+
+  points = points.filter(({ lat, lon }) => Number.isFinite(lat) && Number.isFinite(lon));
+  if (points.length < 2) {
+    throw new Error('The route needs at least two points');
+  }
+  return points;
+}
+
+/**
+ * Read track points (or route points, or waypoints) from a GPX document
+ */
+function parseGpx(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Not a valid GPX file');
+  }
+
+  for (const tag of ['trkpt', 'rtept', 'wpt']) {
+    const nodes = [...doc.getElementsByTagName(tag)];
+    if (nodes.length === 0) continue;
+
+    return nodes.map((node) => {
+      const time = node.getElementsByTagName('time')[0]?.textContent;
+      return {
+        lat: parseFloat(node.getAttribute('lat')),
+        lon: parseFloat(node.getAttribute('lon')),
+        time: time ? Date.parse(time) : null
+      };
+    });
+  }
+  return [];
+}
+
+/**
+ * Read LineString / MultiLineString coordinates from GeoJSON
+ * Per-point times are taken from properties.coordTimes (as written by common GPX converters).
+ */
+function parseGeoJson(json) {
+  let features;
+  if (json.type === 'FeatureCollection') {
+    features = json.features || [];
+  } else if (json.type === 'Feature') {
+    features = [json];
+  } else {
+    features = [{ type: 'Feature', geometry: json, properties: {} }];
+  }
+
+  const points = [];
+  features.forEach(({ geometry, properties }) => {
+    if (!geometry) return;
+
+    let lines = [];
+    if (geometry.type === 'LineString') {
+      lines = [geometry.coordinates];
+    } else if (geometry.type === 'MultiLineString') {
+      lines = geometry.coordinates;
+    }
+
+    const times = properties?.coordTimes;
+    lines.forEach((line, lineIndex) => {
+      const lineTimes = Array.isArray(times?.[0]) ? times[lineIndex] : times;
+      line.forEach(([lon, lat], i) => {
+        const time = lineTimes?.[i];
+        points.push({ lat, lon, time: time ? Date.parse(time) : null });
+      });
+    });
+  });
+  return points;
+}
@@ -0,0 +1,205 @@
+/**
+ * Route playback - replays a loaded track as a simulated GPS feed
+ *
+ * routeGeolocation stands in for navigator.geolocation (see simulatedGeolocation.js),
+ * so the geolocation module tracks the route exactly like the real GPS.
+ */
+import { calculateDistance } from './utils.js';
+import { createSimulatedGeolocation } from './simulatedGeolocation.js';
+import { ROUTE_WALKING_SPEED, ROUTE_FIX_INTERVAL, ROUTE_FIX_ACCURACY } from './config.js';
+
+// Playback state
+let route = null; // { name, points: [{ lat, lon, offset, distance }], duration, distance }
+let elapsed = 0; // Simulated ms since the start of the route
+let startEpoch = 0; // Timestamp reported for the first point
+let speed = 1; // Playback speed multiplier
+let playing = false;
+let tickIntervalId = null;
+
+// Callback for playback updates (set by ui module)
+let routeChangeCallback = null;
+
+/**
+ * Set callback for playback changes, called with getRouteProgress() or null when unloaded
+ */
+export function setRouteChangeCallback(callback) {
+  routeChangeCallback = callback;
+}
+
+/**
+ * Tell the UI where playback is
+ */
+function notifyRouteChange() {
+  if (routeChangeCallback) {
+    routeChangeCallback(getRouteProgress());
+  }
+}
+
+/**
+ * Load a route for playback (paused at its start)
+ * Points with timestamps play back at their recorded pace, others at walking speed.
+ * @param {Array<{lat: number, lon: number, time: number|null}>} points - From parseRoute
+ * @param {string} name - Shown in the UI
+ */
+export function loadRoute(points, name) {
+  pauseRoute();
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const timed = last.time > first.time && points.every((point, i) =>
+    Number.isFinite(point.time) && (i === 0 || point.time >= points[i - 1].time)
+  );
+
+  let distance = 0;
+  const timeline = points.map((point, i) => {
+    if (i > 0) {
+      const previous = points[i - 1];
+      distance += calculateDistance(previous.lat, previous.lon, point.lat, point.lon);
+    }
+    const offset = timed ? point.time - first.time : (distance / ROUTE_WALKING_SPEED) * 1000;
+    return { lat: point.lat, lon: point.lon, offset, distance };
+  });
+
+  route = {
+    name,
+    points: timeline,
+    duration: timeline[timeline.length - 1].offset,
+    distance
+  };
+  elapsed = 0;
+  startEpoch = timed ? first.time : Date.now();
+
+  console.log(`Route loaded: ${name} - ${points.length} points, ${(distance / 1000).toFixed(2)}km, ${(route.duration / 60000).toFixed(1)}min${timed ? ' (recorded pace)' : ''}`);
+  notifyRouteChange();
+}
+
+/**
+ * Stop playback and forget the route
+ */
+export function unloadRoute() {
+  pauseRoute();
+  route = null;
+  if (routeChangeCallback) {
+    routeChangeCallback(null);
+  }
+  console.log('Route unloaded');
+}
+
+/**
+ * Check whether a route is loaded
+ */
+export function hasRoute() {
+  return route !== null;
+}
+
+/**
+ * Start or resume playback (restarts from the beginning once finished)
+ */
+export function playRoute() {
+  if (!route || playing) return;
+  if (elapsed >= route.duration) {
+    // Carry the simulated clock on, so fix timestamps keep increasing for the GPS filter
+    startEpoch += route.duration;
+    elapsed = 0;
+  }
+
+  playing = true;
+  tickIntervalId = setInterval(tick, ROUTE_FIX_INTERVAL);
+  console.log(`Route playback started at ${speed}x`);
+  notifyRouteChange();
+}
+
+/**
+ * Pause playback where it is
+ */
+export function pauseRoute() {
+  if (!playing) return;
+  playing = false;
+  clearInterval(tickIntervalId);
+  tickIntervalId = null;
+  console.log('Route playback paused');
+  notifyRouteChange();
+}
+
+/**
+ * Set playback speed multiplier
+ */
+export function setRouteSpeed(multiplier) {
+  speed = multiplier;
+  console.log(`Route playback speed set to ${speed}x`);
+  notifyRouteChange();
+}
+
+/**
+ * Get playback progress
+ * @returns {{name: string, elapsed: number, duration: number, distanceDone: number, distance: number, speed: number, playing: boolean} | null}
+ */
+export function getRouteProgress() {
+  if (!route) return null;
+  return {
+    name: route.name,
+    elapsed,
+    duration: route.duration,
+    distanceDone: getRoutePosition(elapsed).distance,
+    distance: route.distance,
+    speed,
+    playing
+  };
+}
+
+/**
+ * Advance simulated time and send a fix to every watcher
+ */
+function tick() {
+  elapsed = Math.min(route.duration, elapsed + ROUTE_FIX_INTERVAL * speed);
+  routeGeolocation.emitFix(getCurrentFix());
+
+  if (elapsed >= route.duration) {
+    console.log('Route playback finished');
+    pauseRoute();
+  } else {
+    notifyRouteChange();
+  }
+}
+
+/**
+ * Interpolated point on the route at a simulated time
+ */
+function getRoutePosition(time) {
+  const { points } = route;
+  let i = 1;
+  while (i < points.length - 1 && points[i].offset < time) i++;
+
+  const from = points[i - 1];
+  const to = points[i];
+  const span = to.offset - from.offset;
+  const t = span > 0 ? Math.min(1, Math.max(0, (time - from.offset) / span)) : 1;
+  return {
+    lat: from.lat + (to.lat - from.lat) * t,
+    lon: from.lon + (to.lon - from.lon) * t,
+    distance: from.distance + (to.distance - from.distance) * t
+  };
+}
+
+/**
+ * Fix for the current point on the route (null when no route is loaded)
+ */
+function getCurrentFix() {
+  if (!route) return null;
+  const { lat, lon } = getRoutePosition(elapsed);
+  return {
+    lat,
+    lon,
+    accuracy: ROUTE_FIX_ACCURACY,
+    timestamp: startEpoch + elapsed // Simulated clock, so the GPS filter sees the real pace
+  };
+}
+
+/**
+ * Stand-in for navigator.geolocation while a route is playing
+ */
+export const routeGeolocation = createSimulatedGeolocation({
+  getCurrentFix,
+  unavailableMessage: 'No route loaded',
+  fixOnWatch: true // Real GPS reports a first fix soon after watching starts
+});
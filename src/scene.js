@@ -16,7 +16,26 @@ renderer.setPixelRatio(Math.min(2, window.devicePixelRatio || 1));
 export const scene = new THREE.Scene();
 
 // Create camera
-export const camera = new THREE.PerspectiveCamera(80, window.innerWidth / window.innerHeight, 0.001, 15000);
+export const CAMERA_FAR = 15000; // Default far plane, pushed out when the fog reaches further
+export const CAMERA_DEFAULT_FOV = 80; // Vertical field of view in degrees until matched to the camera feed
+export const camera = new THREE.PerspectiveCamera(CAMERA_DEFAULT_FOV, window.innerWidth / window.innerHeight, 0.001, CAMERA_FAR);
+let cameraBaseFov = CAMERA_DEFAULT_FOV; // Unzoomed field of view
+
+/**
+ * Get the unzoomed vertical field of view in degrees
+ */
+export function getCameraBaseFov() {
+  return cameraBaseFov;
+}
+
+/**
+ * Set the unzoomed vertical field of view in degrees (also resets any zoom)
+ */
+export function setCameraBaseFov(fov) {
+  cameraBaseFov = fov;
+  camera.fov = fov;
+  camera.updateProjectionMatrix();
+}
 
 // Handle window resize
 window.addEventListener('resize', () => {
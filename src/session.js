@@ -0,0 +1,279 @@
+/**
+ * Session recording and replay - captures the raw orientation stream, compass heading
+ * and GPS fixes so a tester's session can be reproduced exactly on another device
+ *
+ * Replay feeds the recorded samples back through the same paths the sensors use:
+ * orientation goes through the controls smoothing (so smoothing settings can be compared),
+ * and fixes come from sessionGeolocation, which stands in for navigator.geolocation
+ * (see simulatedGeolocation.js).
+ */
+import { createSimulatedGeolocation } from './simulatedGeolocation.js';
+
+const SESSION_FORMAT = 'wplace-ar-session';
+const SESSION_VERSION = 1;
+
+// Recording state
+let recording = null; // { startedAt, startTime, orientation, heading, fixes }
+let lastRecordedQuaternion = null;
+
+// Replay state
+let replay = null; // { session, startTime, elapsed, orientationIndex, headingIndex, fixIndex }
+
+// Callbacks for replayed samples (set by main module)
+let replayOrientationCallback = null;
+let replayHeadingCallback = null;
+// Callback for recording/replay status (set by ui module)
+let sessionChangeCallback = null;
+
+/**
+ * Set callback for replayed orientation, called with [x, y, z, w] or null when replay ends
+ */
+export function setReplayOrientationCallback(callback) {
+  replayOrientationCallback = callback;
+}
+
+/**
+ * Set callback for replayed compass heading offsets (radians)
+ */
+export function setReplayHeadingCallback(callback) {
+  replayHeadingCallback = callback;
+}
+
+/**
+ * Set callback for status changes, called with getSessionStatus()
+ */
+export function setSessionChangeCallback(callback) {
+  sessionChangeCallback = callback;
+}
+
+/**
+ * Tell the UI what the session is doing
+ */
+function notifySessionChange() {
+  if (sessionChangeCallback) {
+    sessionChangeCallback(getSessionStatus());
+  }
+}
+
+/**
+ * Round to a fixed number of decimals to keep session files small
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Start recording sensor samples
+ */
+export function startSessionRecording() {
+  if (replay) return;
+  recording = {
+    startedAt: new Date().toISOString(),
+    startTime: performance.now(),
+    orientation: [],
+    heading: [],
+    fixes: []
+  };
+  lastRecordedQuaternion = null;
+  console.log('Session recording started');
+  notifySessionChange();
+}
+
+/**
+ * Stop recording
+ * @returns {Object|null} The recorded session, ready for JSON.stringify
+ */
+export function stopSessionRecording() {
+  if (!recording) return null;
+
+  const { startedAt, startTime, orientation, heading, fixes } = recording;
+  const session = {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    startedAt,
+    duration: Math.round(performance.now() - startTime),
+    userAgent: navigator.userAgent,
+    orientation, // [t, x, y, z, w]
+    heading, // [t, radians]
+    fixes // { t, lat, lon, accuracy, timestamp }
+  };
+  recording = null;
+
+  console.log(`Session recording stopped: ${(session.duration / 1000).toFixed(1)}s, ${orientation.length} orientation samples, ${fixes.length} GPS fixes`);
+  notifySessionChange();
+  return session;
+}
+
+/**
+ * Check whether a session is being recorded
+ */
+export function isSessionRecording() {
+  return recording !== null;
+}
+
+/**
+ * Record a raw orientation quaternion (before smoothing); repeats are skipped
+ */
+export function recordOrientation(quaternion) {
+  if (!recording) return;
+  const { x, y, z, w } = quaternion;
+  const last = lastRecordedQuaternion;
+  if (last && last[0] === x && last[1] === y && last[2] === z && last[3] === w) return;
+  lastRecordedQuaternion = [x, y, z, w];
+
+  recording.orientation.push([
+    Math.round(performance.now() - recording.startTime),
+    round(x, 6), round(y, 6), round(z, 6), round(w, 6)
+  ]);
+}
+
+/**
+ * Record a compass heading offset (radians)
+ */
+export function recordHeading(heading) {
+  if (!recording) return;
+  recording.heading.push([Math.round(performance.now() - recording.startTime), round(heading, 6)]);
+}
+
+/**
+ * Record a raw GPS fix (a GeolocationPosition)
+ */
+export function recordFix(position) {
+  if (!recording) return;
+  recording.fixes.push({
+    t: Math.round(performance.now() - recording.startTime),
+    lat: position.coords.latitude,
+    lon: position.coords.longitude,
+    accuracy: position.coords.accuracy,
+    timestamp: position.timestamp
+  });
+}
+
+/**
+ * Parse and check a session file
+ * @param {string} text - File contents
+ * @returns {Object} The session
+ */
+export function parseSession(text) {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch {
+    throw new Error('Not a valid session file');
+  }
+  if (session?.format !== SESSION_FORMAT || !Array.isArray(session.orientation) || !Array.isArray(session.fixes)) {
+    throw new Error('Not a wPlace AR session file');
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Session file version ${session.version} is newer than this app supports`);
+  }
+  session.heading = session.heading || [];
+  return session;
+}
+
+/**
+ * Start replaying a session from the beginning
+ */
+export function startSessionReplay(session) {
+  stopSessionRecording();
+  replay = {
+    session,
+    startTime: performance.now(),
+    elapsed: 0,
+    orientationIndex: 0,
+    headingIndex: 0,
+    fixIndex: 0
+  };
+  console.log(`Session replay started: ${(session.duration / 1000).toFixed(1)}s recorded ${session.startedAt}`);
+  notifySessionChange();
+}
+
+/**
+ * Stop replaying and hand control back to the sensors
+ */
+export function stopSessionReplay() {
+  if (!replay) return;
+  replay = null;
+  if (replayOrientationCallback) {
+    replayOrientationCallback(null);
+  }
+  console.log('Session replay stopped');
+  notifySessionChange();
+}
+
+/**
+ * Check whether a session is being replayed
+ */
+export function isSessionReplaying() {
+  return replay !== null;
+}
+
+/**
+ * Emit every recorded sample up to the current replay time (called from render loop)
+ * @param {number} currentTime - Current time from animation loop
+ */
+export function updateSessionReplay(currentTime) {
+  if (!replay) return;
+  const { session } = replay;
+  const elapsed = currentTime - replay.startTime;
+  const previousSecond = Math.floor(replay.elapsed / 1000);
+  replay.elapsed = elapsed;
+
+  // Orientation and heading: only the latest sample matters, the smoothing sees it each frame
+  let orientation = null;
+  while (replay.orientationIndex < session.orientation.length && session.orientation[replay.orientationIndex][0] <= elapsed) {
+    orientation = session.orientation[replay.orientationIndex++];
+  }
+  if (orientation && replayOrientationCallback) {
+    replayOrientationCallback(orientation.slice(1));
+  }
+
+  let heading = null;
+  while (replay.headingIndex < session.heading.length && session.heading[replay.headingIndex][0] <= elapsed) {
+    heading = session.heading[replay.headingIndex++];
+  }
+  if (heading && replayHeadingCallback) {
+    replayHeadingCallback(heading[1]);
+  }
+
+  // Fixes: every one is delivered, like the real GPS would
+  while (replay.fixIndex < session.fixes.length && session.fixes[replay.fixIndex].t <= elapsed) {
+    // Original timestamps, so the GPS filter behaves as it did
+    sessionGeolocation.emitFix(session.fixes[replay.fixIndex++]);
+  }
+
+  if (elapsed >= session.duration) {
+    console.log('Session replay finished');
+    stopSessionReplay();
+  } else if (Math.floor(elapsed / 1000) !== previousSecond) {
+    notifySessionChange();
+  }
+}
+
+/**
+ * Get what the session module is doing
+ * @returns {{mode: 'recording'|'replaying'|'idle', elapsed: number, duration: number|null}}
+ */
+export function getSessionStatus() {
+  if (recording) {
+    return { mode: 'recording', elapsed: performance.now() - recording.startTime, duration: null };
+  }
+  if (replay) {
+    return { mode: 'replaying', elapsed: replay.elapsed, duration: replay.session.duration };
+  }
+  return { mode: 'idle', elapsed: 0, duration: null };
+}
+
+/**
+ * Stand-in for navigator.geolocation while a session replays
+ */
+export const sessionGeolocation = createSimulatedGeolocation({
+  getCurrentFix() {
+    const fixes = replay?.session.fixes;
+    if (!fixes || fixes.length === 0) return null;
+    // Latest fix delivered so far (or the first one before any have been)
+    return fixes[Math.max(0, replay.fixIndex - 1)];
+  },
+  unavailableMessage: 'No session fixes'
+});
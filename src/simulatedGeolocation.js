@@ -0,0 +1,70 @@
+/**
+ * Simulated GPS sources - stand-ins with the same shape as navigator.geolocation
+ * (getCurrentPosition, watchPosition, clearWatch), so the geolocation module tracks
+ * them exactly like the real GPS. Used by route playback and session replay.
+ */
+
+/**
+ * Build a GeolocationPosition-like object from a fix
+ * @param {{lat: number, lon: number, accuracy: number, timestamp: number}} fix
+ */
+function createPosition(fix) {
+  return {
+    coords: {
+      latitude: fix.lat,
+      longitude: fix.lon,
+      accuracy: fix.accuracy,
+      altitude: null,
+      altitudeAccuracy: null,
+      heading: null,
+      speed: null
+    },
+    timestamp: fix.timestamp
+  };
+}
+
+/**
+ * Create a simulated geolocation source
+ * @param {Object} options
+ * @param {function(): Object|null} options.getCurrentFix - Fix to report now, or null if there is none
+ * @param {string} options.unavailableMessage - Error message when there is no fix
+ * @param {boolean} [options.fixOnWatch=false] - Report a first fix soon after watching starts, like real GPS
+ * @returns {Object} The source, plus emitFix(fix) to send a fix to every watcher
+ */
+export function createSimulatedGeolocation({ getCurrentFix, unavailableMessage, fixOnWatch = false }) {
+  // Active watchPosition callbacks by watch id
+  const watchers = new Map();
+  let nextWatchId = 1;
+
+  return {
+    getCurrentPosition(success, error) {
+      const fix = getCurrentFix();
+      if (!fix) {
+        if (error) error({ code: 2, message: unavailableMessage });
+        return;
+      }
+      setTimeout(() => success(createPosition(fix)), 0);
+    },
+
+    watchPosition(success, error) {
+      const id = nextWatchId++;
+      watchers.set(id, { success, error });
+      if (fixOnWatch) {
+        setTimeout(() => {
+          const fix = getCurrentFix();
+          if (fix) watchers.get(id)?.success(createPosition(fix));
+        }, 0);
+      }
+      return id;
+    },
+
+    clearWatch(id) {
+      watchers.delete(id);
+    },
+
+    emitFix(fix) {
+      const position = createPosition(fix);
+      watchers.forEach(({ success }) => success(position));
+    }
+  };
+}
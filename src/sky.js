@@ -0,0 +1,153 @@
+/**
+ * Procedural sky - shown behind the tiles when there is no camera feed (desktop, camera
+ * denied or lost) or when picked for a clean screenshot background
+ *
+ * A gradient dome around the camera with the sun placed from the current time and position,
+ * and a ground below a horizon line so there is still a level reference to look against.
+ * The dome turns with the tile grid, so its north (and the sun) line up with the map.
+ */
+import * as THREE from 'three';
+import { scene, camera } from './scene.js';
+import { getShownPosition } from './movement.js';
+import { getSunPosition } from './utils.js';
+import { FALLBACK, SKY_UPDATE_INTERVAL } from './config.js';
+
+// Sky colours at night, at sunrise/sunset and by day, blended on the sun's elevation
+const SKY_PALETTES = {
+  night: { zenith: 0x0b1026, horizon: 0x1d2b4f, ground: 0x101418, sun: 0x000000 },
+  twilight: { zenith: 0x2e4a7d, horizon: 0xf2a65e, ground: 0x3a3530, sun: 0xffb36b },
+  day: { zenith: 0x2f76c9, horizon: 0xbcd9f2, ground: 0x6b6f5e, sun: 0xfff6e0 }
+};
+
+const skyMaterial = new THREE.ShaderMaterial({
+  uniforms: {
+    sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+    zenithColor: { value: new THREE.Color() },
+    horizonColor: { value: new THREE.Color() },
+    groundColor: { value: new THREE.Color() },
+    sunColor: { value: new THREE.Color() }
+  },
+  vertexShader: /* glsl */ `
+    varying vec3 vDirection;
+    void main() {
+      vDirection = position;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */ `
+    uniform vec3 sunDirection;
+    uniform vec3 zenithColor;
+    uniform vec3 horizonColor;
+    uniform vec3 groundColor;
+    uniform vec3 sunColor;
+    varying vec3 vDirection;
+    void main() {
+      vec3 direction = normalize(vDirection);
+      float height = direction.y;
+
+      // Horizon colour fading up to the zenith; flat ground below
+      vec3 color = height > 0.0
+        ? mix(horizonColor, zenithColor, pow(height, 0.5))
+        : mix(horizonColor * 0.6, groundColor, smoothstep(0.0, 0.08, -height));
+
+      // Thin bright line on the horizon as a level reference
+      color = mix(color, horizonColor * 1.2, 1.0 - smoothstep(0.0, 0.004, abs(height)));
+
+      // Sun disc and glow (hidden by the ground once it sets)
+      float sunAngle = dot(direction, sunDirection);
+      float sun = smoothstep(0.9995, 0.9998, sunAngle) + 0.35 * pow(max(sunAngle, 0.0), 64.0);
+      color += sunColor * sun * step(0.0, height);
+
+      gl_FragColor = vec4(color, 1.0);
+    }
+  `,
+  side: THREE.BackSide,
+  depthTest: false,
+  depthWrite: false
+});
+
+// Drawn first and behind everything, whatever its size
+const skyDome = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 16), skyMaterial);
+skyDome.renderOrder = -1;
+skyDome.frustumCulled = false;
+skyDome.visible = false;
+scene.add(skyDome);
+
+let lastSunUpdate = -Infinity; // Time of the last sun position update (-Infinity forces one)
+
+/**
+ * Show or hide the sky
+ */
+export function setSkyVisible(visible) {
+  if (visible === skyDome.visible) return;
+  skyDome.visible = visible;
+  lastSunUpdate = -Infinity;
+  console.log(`Procedural sky ${visible ? 'shown' : 'hidden'}`);
+}
+
+/**
+ * Check whether the sky is shown
+ */
+export function isSkyVisible() {
+  return skyDome.visible;
+}
+
+/**
+ * Turn the sky with the tile grid so its north matches the map (radians)
+ */
+export function setSkyHeading(heading) {
+  skyDome.rotation.y = heading;
+}
+
+/**
+ * Blend the palettes for a sun elevation (degrees)
+ */
+function getSkyPalette(elevation) {
+  // Night below -12° (nautical twilight), twilight around the horizon, full day above 15°
+  const blend = (from, to, t) => Object.fromEntries(
+    Object.keys(from).map((key) => [key, new THREE.Color(from[key]).lerp(new THREE.Color(to[key]), t)])
+  );
+  if (elevation < 0) {
+    return blend(SKY_PALETTES.night, SKY_PALETTES.twilight, THREE.MathUtils.smoothstep(elevation, -12, 0));
+  }
+  return blend(SKY_PALETTES.twilight, SKY_PALETTES.day, THREE.MathUtils.smoothstep(elevation, 0, 15));
+}
+
+/**
+ * Place the sun and colour the sky for the current time and position
+ */
+function updateSun() {
+  const { lat, lon } = getShownPosition() || FALLBACK;
+  const { azimuth, elevation } = getSunPosition(new Date(), lat, lon);
+
+  // -Z is north and +X is east in the grid's frame
+  const az = THREE.MathUtils.degToRad(azimuth);
+  const el = THREE.MathUtils.degToRad(elevation);
+  skyMaterial.uniforms.sunDirection.value.set(
+    Math.sin(az) * Math.cos(el),
+    Math.sin(el),
+    -Math.cos(az) * Math.cos(el)
+  );
+
+  const palette = getSkyPalette(elevation);
+  skyMaterial.uniforms.zenithColor.value.copy(palette.zenith);
+  skyMaterial.uniforms.horizonColor.value.copy(palette.horizon);
+  skyMaterial.uniforms.groundColor.value.copy(palette.ground);
+  skyMaterial.uniforms.sunColor.value.copy(palette.sun);
+
+  console.log(`Sky sun at azimuth ${azimuth.toFixed(1)}°, elevation ${elevation.toFixed(1)}°`);
+}
+
+/**
+ * Keep the sky around the camera and move the sun now and then (called from render loop)
+ * @param {number} currentTime - Current time from animation loop
+ */
+export function updateSky(currentTime) {
+  if (!skyDome.visible) return;
+  skyDome.position.copy(camera.position);
+
+  if (currentTime - lastSunUpdate >= SKY_UPDATE_INTERVAL) {
+    lastSunUpdate = currentTime;
+    updateSun();
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * Template overlay - plan an artwork and track how much of it is painted
+ */
+import * as THREE from 'three';
+import { getTileGroup, getPixelScenePosition, getTileBlob, getUnitsPerPixel } from './tiles.js';
+import { decodeImagePixels } from './pixels.js';
+import {
+  TILE_PIXELS,
+  TEMPLATE_OPACITY,
+  TEMPLATE_WRONG_COLOR
+} from './config.js';
+
+// Template state
+let template = null; // { pixels, anchorX, anchorY, mesh, texture, wrongMesh, wrongTexture, wrongData }
+let templateOpacity = TEMPLATE_OPACITY;
+let checkInProgress = false;
+let recheckRequested = false; // Run another check once the current one finishes
+let lastStats = null; // { match, wrong, missing, total }
+
+// Callback for reporting progress to the UI (set by ui module)
+let templateStatsCallback = null;
+
+/**
+ * Set callback for template progress updates
+ */
+export function setTemplateStatsCallback(callback) {
+  templateStatsCallback = callback;
+}
+
+/**
+ * Create a texture from RGBA pixels (rows flipped to match image textures)
+ */
+function createPixelTexture(rgba, width, height) {
+  const flipped = new Uint8Array(width * height * 4);
+  const rowBytes = width * 4;
+  for (let y = 0; y < height; y++) {
+    flipped.set(rgba.subarray(y * rowBytes, (y + 1) * rowBytes), (height - 1 - y) * rowBytes);
+  }
+
+  const texture = new THREE.DataTexture(flipped, width, height, THREE.RGBAFormat);
+  texture.magFilter = THREE.NearestFilter;
+  texture.minFilter = THREE.NearestFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Create a horizontal plane for the template, covering width x height wplace pixels
+ * (sized in pixels - scaled to scene units by updateTemplatePlacement)
+ */
+function createTemplatePlane(texture, width, height, opacity, renderOrder) {
+  const geom = new THREE.PlaneGeometry(width, height);
+  const material = new THREE.MeshBasicMaterial({
+    map: texture,
+    side: THREE.DoubleSide,
+    transparent: true,
+    opacity,
+    depthTest: false, // In the tiles' plane - depth can't tell them apart, so draw order decides
+    depthWrite: false
+  });
+  const mesh = new THREE.Mesh(geom, material);
+  mesh.rotation.x = -Math.PI / 2; // Same orientation as the tile planes
+  mesh.renderOrder = renderOrder; // Draw over the tiles
+  return mesh;
+}
+
+/**
+ * Load a template image and anchor its top-left pixel at a wplace tile/pixel coordinate
+ * @param {Blob} file - PNG template
+ * @param {number} tileX - Anchor tile X
+ * @param {number} tileY - Anchor tile Y
+ * @param {number} pixelX - Anchor pixel X within the tile
+ * @param {number} pixelY - Anchor pixel Y within the tile
+ */
+export async function loadTemplate(file, tileX, tileY, pixelX, pixelY) {
+  const pixels = await decodeImagePixels(file);
+  const { width, height } = pixels;
+
+  removeTemplate();
+
+  const texture = createPixelTexture(pixels.data, width, height);
+  const wrongData = new Uint8Array(width * height * 4);
+  const wrongTexture = createPixelTexture(wrongData, width, height);
+
+  template = {
+    pixels,
+    anchorX: tileX * TILE_PIXELS + pixelX,
+    anchorY: tileY * TILE_PIXELS + pixelY,
+    texture,
+    wrongTexture,
+    wrongData,
+    mesh: createTemplatePlane(texture, width, height, templateOpacity, 1),
+    wrongMesh: createTemplatePlane(wrongTexture, width, height, 1, 2)
+  };
+
+  const group = getTileGroup();
+  group.add(template.mesh);
+  group.add(template.wrongMesh);
+  updateTemplatePlacement();
+
+  console.log(`Template loaded: ${width}x${height} at tile ${tileX},${tileY} pixel ${pixelX},${pixelY}`);
+  await checkTemplateProgress();
+}
+
+/**
+ * Remove the current template
+ */
+export function removeTemplate() {
+  if (!template) return;
+
+  [template.mesh, template.wrongMesh].forEach((mesh) => {
+    mesh.parent?.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  });
+  template.texture.dispose();
+  template.wrongTexture.dispose();
+  template = null;
+  lastStats = null;
+
+  if (templateStatsCallback) {
+    templateStatsCallback(null);
+  }
+  console.log('Template removed');
+}
+
+/**
+ * Check whether a template is loaded
+ */
+export function hasTemplate() {
+  return template !== null;
+}
+
+/**
+ * Get last computed template progress
+ */
+export function getTemplateStats() {
+  return lastStats;
+}
+
+/**
+ * Set template plane opacity
+ */
+export function setTemplateOpacity(opacity) {
+  templateOpacity = opacity;
+  if (template) {
+    template.mesh.material.opacity = opacity;
+  }
+}
+
+/**
+ * Get template plane opacity
+ */
+export function getTemplateOpacity() {
+  return templateOpacity;
+}
+
+/**
+ * Keep the template over its anchor when the grid moves, the sky height or the scale changes
+ */
+export function updateTemplatePlacement() {
+  if (!template) return;
+
+  const { width, height } = template.pixels;
+  const unitsPerPixel = getUnitsPerPixel();
+  const corner = getPixelScenePosition(template.anchorX, template.anchorY);
+  const x = corner.x + (width * unitsPerPixel) / 2;
+  const z = corner.z + (height * unitsPerPixel) / 2;
+
+  // Level with the tiles; render order puts it (and the wrong-pixel markers above it) on top
+  template.mesh.position.set(x, corner.y, z);
+  template.wrongMesh.position.set(x, corner.y, z);
+  template.mesh.scale.set(unitsPerPixel, unitsPerPixel, 1);
+  template.wrongMesh.scale.set(unitsPerPixel, unitsPerPixel, 1);
+}
+
+/**
+ * Compare the template against the live tile pixels
+ * Pixels are "missing" when the canvas is blank there, "wrong" when painted a different color.
+ * @returns {Promise<{match: number, wrong: number, missing: number, total: number} | null>}
+ */
+export async function checkTemplateProgress() {
+  if (!template) return lastStats;
+  if (checkInProgress) {
+    recheckRequested = true;
+    return lastStats;
+  }
+  checkInProgress = true;
+
+  const current = template;
+  const { width, height, data } = current.pixels;
+  const stats = { match: 0, wrong: 0, missing: 0, total: 0 };
+  const wrongData = current.wrongData;
+  wrongData.fill(0);
+
+  try {
+    // Decode each live tile the template covers
+    const firstTileX = Math.floor(current.anchorX / TILE_PIXELS);
+    const firstTileY = Math.floor(current.anchorY / TILE_PIXELS);
+    const lastTileX = Math.floor((current.anchorX + width - 1) / TILE_PIXELS);
+    const lastTileY = Math.floor((current.anchorY + height - 1) / TILE_PIXELS);
+
+    const liveTiles = new Map();
+    for (let tx = firstTileX; tx <= lastTileX; tx++) {
+      for (let ty = firstTileY; ty <= lastTileY; ty++) {
+        try {
+          liveTiles.set(`${tx},${ty}`, await decodeImagePixels(await getTileBlob(tx, ty)));
+        } catch (err) {
+          // An unreachable tile counts as blank canvas
+          console.warn(`Template check could not load tile ${tx},${ty}:`, err);
+        }
+      }
+    }
+
+    // Template was replaced or removed while tiles were loading
+    if (template !== current) return lastStats;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const ti = (y * width + x) * 4;
+        if (data[ti + 3] === 0) continue; // Transparent template pixels aren't part of the artwork
+        stats.total++;
+
+        const globalX = current.anchorX + x;
+        const globalY = current.anchorY + y;
+        const live = liveTiles.get(`${Math.floor(globalX / TILE_PIXELS)},${Math.floor(globalY / TILE_PIXELS)}`);
+        const li = live ? ((globalY % TILE_PIXELS) * live.width + (globalX % TILE_PIXELS)) * 4 : -1;
+
+        if (!live || live.data[li + 3] === 0) {
+          stats.missing++;
+        } else if (live.data[li] === data[ti] && live.data[li + 1] === data[ti + 1] && live.data[li + 2] === data[ti + 2]) {
+          stats.match++;
+        } else {
+          stats.wrong++;
+          wrongData.set(TEMPLATE_WRONG_COLOR, ti);
+        }
+      }
+    }
+
+    // Upload the highlight (same row flip as createPixelTexture)
+    const texData = current.wrongTexture.image.data;
+    const rowBytes = width * 4;
+    for (let y = 0; y < height; y++) {
+      texData.set(wrongData.subarray(y * rowBytes, (y + 1) * rowBytes), (height - 1 - y) * rowBytes);
+    }
+    current.wrongTexture.needsUpdate = true;
+
+    lastStats = stats;
+    console.log(`Template progress: ${stats.match} match, ${stats.wrong} wrong, ${stats.missing} missing of ${stats.total}`);
+
+    if (templateStatsCallback) {
+      templateStatsCallback(stats);
+    }
+    return stats;
+  } finally {
+    checkInProgress = false;
+    if (recheckRequested) {
+      recheckRequested = false;
+      checkTemplateProgress();
+    }
+  }
+}
@@ -0,0 +1,298 @@
+/**
+ * Persistent tile cache backed by IndexedDB
+ * Stores tile PNGs with a fetched-at timestamp and evicts least recently used tiles over a size cap.
+ * A second store keeps dated snapshots of each tile for the time-lapse history.
+ */
+import { TILE_CACHE_MAX_BYTES, HISTORY_SNAPSHOT_INTERVAL, HISTORY_MAX_BYTES } from './config.js';
+
+const DB_NAME = 'wplace-ar-tiles';
+const DB_VERSION = 2;
+const STORE_NAME = 'tiles';
+const SNAPSHOT_STORE_NAME = 'snapshots';
+
+let dbPromise = null;
+
+// Running byte total per store, summed once and then kept up to date on writes and deletes
+const storeBytes = new Map(); // storeName -> Promise<number>
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create if needed) the tile database
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB not available'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('lastAccess', 'lastAccess');
+      }
+      if (event.oldVersion < 2) {
+        const snapshots = db.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: 'key' });
+        snapshots.createIndex('tileKey', 'tileKey');
+        snapshots.createIndex('takenAt', 'takenAt');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a retry on the next call if opening failed
+  dbPromise.catch((err) => {
+    console.warn('Tile cache unavailable:', err);
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Get a cached tile and mark it as recently used
+ * @param {string} key - Tile cache key
+ * @returns {Promise<{blob: Blob, fetchedAt: number} | null>}
+ */
+export async function getCachedTile(key) {
+  try {
+    const db = await openDatabase();
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const record = await promisifyRequest(store.get(key));
+    if (!record) return null;
+
+    record.lastAccess = Date.now();
+    store.put(record);
+    return { blob: record.blob, fetchedAt: record.fetchedAt };
+  } catch (err) {
+    console.warn(`Tile cache read failed for ${key}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Store a tile in the cache, evicting old tiles if over the size cap
+ * @param {string} key - Tile cache key
+ * @param {Blob} blob - Tile PNG data
+ */
+export async function putCachedTile(key, blob) {
+  try {
+    const db = await openDatabase();
+    const now = Date.now();
+    await getStoreBytes(db, STORE_NAME); // Summed before the first write, so it isn't counted twice
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const previous = await promisifyRequest(store.get(key));
+    await promisifyRequest(store.put({
+      key,
+      blob,
+      size: blob.size,
+      fetchedAt: now,
+      lastAccess: now
+    }));
+    addStoreBytes(STORE_NAME, blob.size - (previous?.size || 0));
+    await evictOldest(db, STORE_NAME, 'lastAccess', TILE_CACHE_MAX_BYTES);
+  } catch (err) {
+    console.warn(`Tile cache write failed for ${key}:`, err);
+  }
+}
+
+/**
+ * Delete records in index order (oldest first) until a store fits under a size cap
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Store to trim
+ * @param {string} indexName - Index ordering records from first to last evicted
+ * @param {number} maxBytes - Size cap
+ */
+async function evictOldest(db, storeName, indexName, maxBytes) {
+  const totalBytes = await getStoreBytes(db, storeName);
+  if (totalBytes <= maxBytes) return;
+
+  let bytesToFree = totalBytes - maxBytes;
+  let freed = 0;
+  let evicted = 0;
+  const index = db.transaction(storeName, 'readwrite').objectStore(storeName).index(indexName);
+
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor(); // oldest access first
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || bytesToFree <= 0) {
+        resolve();
+        return;
+      }
+      bytesToFree -= cursor.value.size;
+      freed += cursor.value.size;
+      evicted++;
+      cursor.delete();
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  addStoreBytes(storeName, -freed);
+
+  console.log(`Tile cache evicted ${evicted} ${storeName} record(s) to stay under ${maxBytes} bytes`);
+}
+
+/**
+ * Get the running byte total of a store (summed from the records on first use)
+ * @returns {Promise<number>}
+ */
+function getStoreBytes(db, storeName) {
+  if (!storeBytes.has(storeName)) {
+    const total = sumStoreSize(db, storeName);
+    storeBytes.set(storeName, total);
+    // Sum again next time if it failed
+    total.catch(() => storeBytes.delete(storeName));
+  }
+  return storeBytes.get(storeName);
+}
+
+/**
+ * Add to (or with a negative delta, subtract from) a store's running byte total
+ */
+function addStoreBytes(storeName, delta) {
+  const total = storeBytes.get(storeName);
+  if (total) {
+    storeBytes.set(storeName, total.then((bytes) => Math.max(0, bytes + delta)));
+  }
+}
+
+/**
+ * Sum the size of every record in a store
+ */
+function sumStoreSize(db, storeName) {
+  return new Promise((resolve, reject) => {
+    let total = 0;
+    const request = db.transaction(storeName, 'readonly').objectStore(storeName).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(total);
+        return;
+      }
+      total += cursor.value.size;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Remove every cached tile
+ */
+export async function clearTileCache() {
+  try {
+    const db = await openDatabase();
+    await promisifyRequest(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear());
+    storeBytes.set(STORE_NAME, Promise.resolve(0));
+    console.log('Tile cache cleared');
+  } catch (err) {
+    console.warn('Tile cache clear failed:', err);
+  }
+}
+
+/**
+ * Keep a dated snapshot of a tile (one per HISTORY_SNAPSHOT_INTERVAL, the latest download wins)
+ * @param {string} tileKey - Tile cache key
+ * @param {Blob} blob - Tile PNG data
+ */
+export async function putTileSnapshot(tileKey, blob) {
+  const takenAt = Math.floor(Date.now() / HISTORY_SNAPSHOT_INTERVAL) * HISTORY_SNAPSHOT_INTERVAL;
+  try {
+    const db = await openDatabase();
+    const key = `${tileKey}@${takenAt}`;
+    await getStoreBytes(db, SNAPSHOT_STORE_NAME);
+    const store = db.transaction(SNAPSHOT_STORE_NAME, 'readwrite').objectStore(SNAPSHOT_STORE_NAME);
+    const previous = await promisifyRequest(store.get(key));
+    await promisifyRequest(store.put({
+      key,
+      tileKey,
+      takenAt,
+      blob,
+      size: blob.size
+    }));
+    addStoreBytes(SNAPSHOT_STORE_NAME, blob.size - (previous?.size || 0));
+    await evictOldest(db, SNAPSHOT_STORE_NAME, 'takenAt', HISTORY_MAX_BYTES);
+  } catch (err) {
+    console.warn(`Tile snapshot write failed for ${tileKey}:`, err);
+  }
+}
+
+/**
+ * List the snapshot times stored for a tile
+ */
+async function getSnapshotKeys(db, tileKey) {
+  const index = db.transaction(SNAPSHOT_STORE_NAME, 'readonly').objectStore(SNAPSHOT_STORE_NAME).index('tileKey');
+  const keys = await promisifyRequest(index.getAllKeys(IDBKeyRange.only(tileKey)));
+  return keys.map(key => ({ key, takenAt: Number(key.slice(key.lastIndexOf('@') + 1)) }));
+}
+
+/**
+ * Get every distinct snapshot time stored for a set of tiles
+ * @param {string[]} tileKeys - Tile cache keys
+ * @returns {Promise<number[]>} Snapshot times (ms), oldest first
+ */
+export async function getTileSnapshotTimes(tileKeys) {
+  try {
+    const db = await openDatabase();
+    const times = new Set();
+    for (const tileKey of tileKeys) {
+      (await getSnapshotKeys(db, tileKey)).forEach(({ takenAt }) => times.add(takenAt));
+    }
+    return [...times].sort((a, b) => a - b);
+  } catch (err) {
+    console.warn('Tile snapshot listing failed:', err);
+    return [];
+  }
+}
+
+/**
+ * Get the newest snapshot of a tile taken at or before a time
+ * @param {string} tileKey - Tile cache key
+ * @param {number} time - Snapshot time (ms)
+ * @returns {Promise<{blob: Blob, takenAt: number} | null>}
+ */
+export async function getTileSnapshot(tileKey, time) {
+  try {
+    const db = await openDatabase();
+    const newest = (await getSnapshotKeys(db, tileKey))
+      .filter(({ takenAt }) => takenAt <= time)
+      .reduce((best, entry) => (!best || entry.takenAt > best.takenAt ? entry : best), null);
+    if (!newest) return null;
+
+    const store = db.transaction(SNAPSHOT_STORE_NAME, 'readonly').objectStore(SNAPSHOT_STORE_NAME);
+    const record = await promisifyRequest(store.get(newest.key));
+    return record ? { blob: record.blob, takenAt: record.takenAt } : null;
+  } catch (err) {
+    console.warn(`Tile snapshot read failed for ${tileKey}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Remove every tile snapshot
+ */
+export async function clearTileSnapshots() {
+  try {
+    const db = await openDatabase();
+    await promisifyRequest(db.transaction(SNAPSHOT_STORE_NAME, 'readwrite').objectStore(SNAPSHOT_STORE_NAME).clear());
+    storeBytes.set(SNAPSHOT_STORE_NAME, Promise.resolve(0));
+    console.log('Tile snapshots cleared');
+  } catch (err) {
+    console.warn('Tile snapshot clear failed:', err);
+  }
+}
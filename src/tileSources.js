@@ -0,0 +1,154 @@
+/**
+ * Tile sources - where tile PNGs (and pixel info) are fetched from
+ *
+ * A source describes its URLs as templates with {x}, {y}, {z} and {season} placeholders,
+ * plus any auth headers and the highest zoom it serves. The default source is
+ * picked at build time with VITE_TILE_SOURCE and can be switched at runtime.
+ */
+import { WPLACE_PROXY_URL, ZOOM_LEVEL, SEASON } from './config.js';
+
+const env = import.meta.env;
+
+// Self-hosted proxy settings (build time - the token ends up in the public bundle)
+const selfHostedUrl = (env.VITE_TILE_PROXY_URL || '').replace(/\/$/, '');
+const selfHostedToken = env.VITE_TILE_PROXY_TOKEN || '';
+
+// Local folder of PNGs, served from public/tiles by default
+const localTilesUrl = (env.VITE_LOCAL_TILES_URL || `${env.BASE_URL}tiles`).replace(/\/$/, '');
+
+/**
+ * Built-in tile sources
+ */
+export const TILE_SOURCES = {
+  public: {
+    id: 'public',
+    name: 'Public proxy',
+    tileUrlTemplate: `${WPLACE_PROXY_URL}/files/{season}/tiles/{x}/{y}.png`,
+    pixelUrlTemplate: `${WPLACE_PROXY_URL}/{season}/pixel/{x}/{y}`,
+    headers: {},
+    maxZoom: 11,
+    cacheBust: true // Skips the browser cache; the proxy ignores ?t= but only caches tiles for 15s
+  },
+  selfHosted: {
+    id: 'selfHosted',
+    name: 'Self-hosted proxy',
+    tileUrlTemplate: `${selfHostedUrl}/files/{season}/tiles/{x}/{y}.png`,
+    pixelUrlTemplate: `${selfHostedUrl}/{season}/pixel/{x}/{y}`,
+    headers: selfHostedToken ? { Authorization: `Bearer ${selfHostedToken}` } : {},
+    maxZoom: 11,
+    cacheBust: true,
+    available: Boolean(selfHostedUrl) // Only offered when VITE_TILE_PROXY_URL is set
+  },
+  local: {
+    id: 'local',
+    name: 'Local tiles',
+    tileUrlTemplate: `${localTilesUrl}/{x}/{y}.png`,
+    pixelUrlTemplate: null, // Fixture tiles have no ownership info (and no seasons)
+    headers: {},
+    maxZoom: 11,
+    cacheBust: false
+  }
+};
+
+const SEASON_PATTERN = /^[a-z0-9_-]+$/i; // Season ids end up in URL paths
+let currentSeason = SEASON;
+
+let currentSource = TILE_SOURCES[env.VITE_TILE_SOURCE] || TILE_SOURCES.public;
+if (currentSource.available === false) {
+  console.warn(`Tile source "${currentSource.id}" is not configured - using public proxy`);
+  currentSource = TILE_SOURCES.public;
+}
+
+/**
+ * Fill in {x}, {y}, {z} and {season} placeholders in a URL template
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+/**
+ * Get sources that can be selected in this build
+ */
+export function getAvailableTileSources() {
+  return Object.values(TILE_SOURCES).filter(source => source.available !== false);
+}
+
+/**
+ * Get current tile source
+ */
+export function getTileSource() {
+  return currentSource;
+}
+
+/**
+ * Switch tile source by id
+ * @returns {boolean} Whether the source changed
+ */
+export function setTileSource(id) {
+  const source = TILE_SOURCES[id];
+  if (!source || source.available === false || source === currentSource) return false;
+  currentSource = source;
+  console.log(`Tile source set to ${source.name}`);
+  return true;
+}
+
+/**
+ * Get current season id
+ */
+export function getSeason() {
+  return currentSeason;
+}
+
+/**
+ * Switch season / canvas by id (e.g. "s0")
+ * @returns {boolean} Whether the season changed
+ */
+export function setSeason(id) {
+  const season = String(id).trim();
+  if (!SEASON_PATTERN.test(season)) {
+    console.warn(`Invalid season id: "${id}"`);
+    return false;
+  }
+  if (season === currentSeason) return false;
+  currentSeason = season;
+  console.log(`Season set to ${season}`);
+  return true;
+}
+
+/**
+ * Zoom level tiles are requested at (capped by what the source serves)
+ */
+export function getTileZoom() {
+  return Math.min(ZOOM_LEVEL, currentSource.maxZoom);
+}
+
+/**
+ * Build the URL for a tile PNG
+ */
+export function getTileUrl(tileX, tileY) {
+  const url = fillTemplate(currentSource.tileUrlTemplate, { x: tileX, y: tileY, z: getTileZoom(), season: currentSeason });
+  return currentSource.cacheBust ? `${url}?t=${Date.now()}` : url;
+}
+
+/**
+ * Build the URL for pixel ownership info, or null if the source has none
+ */
+export function getPixelInfoUrl(tileX, tileY, pixelX, pixelY) {
+  if (!currentSource.pixelUrlTemplate) return null;
+  const url = fillTemplate(currentSource.pixelUrlTemplate, { x: tileX, y: tileY, z: getTileZoom(), season: currentSeason });
+  return `${url}?x=${pixelX}&y=${pixelY}`;
+}
+
+/**
+ * Request options (auth headers etc.) for the current source
+ */
+export function getTileRequestInit() {
+  return { mode: 'cors', headers: { ...currentSource.headers } };
+}
+
+/**
+ * Cache key for a tile, namespaced by source and season so they never mix
+ */
+export function getTileCacheKey(tileX, tileY) {
+  return `${currentSource.id}:${currentSeason}:${tileX},${tileY}`;
+}
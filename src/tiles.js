@@ -2,20 +2,81 @@
  * Tile grid system and texture loading
  */
 import * as THREE from 'three';
-import { scene } from './scene.js';
+import { scene, camera, CAMERA_FAR } from './scene.js';
 import { renderer } from './scene.js';
-import { ZOOM_LEVEL, TILE_SIZE, SKY_HEIGHT as INITIAL_SKY_HEIGHT, fogNear, fogFar } from './config.js';
-import { latLonToTile } from './utils.js';
+import {
+  TILE_SIZE,
+  TILE_PIXELS,
+  SKY_HEIGHT as INITIAL_SKY_HEIGHT,
+  GRID_RADIUS as INITIAL_GRID_RADIUS,
+  MAX_CONCURRENT_TILE_LOADS,
+  TILE_CACHE_STALE_AFTER,
+  CHANGE_HIGHLIGHT_DURATION,
+  CHANGE_HIGHLIGHT_COLOR,
+  PIXEL_PERFECT as INITIAL_PIXEL_PERFECT,
+  PIXEL_GRID as INITIAL_PIXEL_GRID,
+  HISTORY_SNAPSHOTS as INITIAL_HISTORY_SNAPSHOTS,
+  GEO_SCALE as INITIAL_GEO_SCALE,
+  MOVEMENT_NOTIFY_PIXEL_STEP,
+  fogNear,
+  fogFar
+} from './config.js';
+import { latLonToTile, latLonToPixel, getTileSizeMeters } from './utils.js';
+import { getCachedTile, putCachedTile, putTileSnapshot, getTileSnapshot, getTileSnapshotTimes } from './tileCache.js';
+import { getTileUrl, getTileRequestInit, getTileCacheKey, getTileZoom } from './tileSources.js';
+import { decodeImagePixels, createChangeMask } from './pixels.js';
 
-// Tile grid system (3x3 grid with adjacent tiles)
+// Tile grid system (square grid of (2 * radius + 1)^2 tiles around the user)
 let SKY_HEIGHT = INITIAL_SKY_HEIGHT; // how high the plane floats above you (mutable for slider control)
 let tileGrid = new Map(); // Map to store all tile planes by key "x,y"
+let retiringTiles = new Map(); // Tiles that left the grid, removed once replacements load
+let gridRadius = INITIAL_GRID_RADIUS; // Tiles loaded on each side of the center tile
+let tilesInFlight = 0; // Number of tile textures currently downloading
+let liveRefreshIntervalId = null; // ID for the live refresh timer
+let liveRefreshInProgress = false; // Skip a tick if the previous refresh is still running
 let centerTile = { tileX: 0, tileY: 0 }; // Current center tile coordinates
 let currentPixelOffsets = { pixelX: 0, pixelY: 0 }; // store current pixel offsets
 let tileGroup = null; // Group container for all tile planes
+let groupHeading = 0; // Yaw (radians) that rotates wplace north onto true north
+
+// Scene scale
+let geoScale = INITIAL_GEO_SCALE; // One scene unit = one real meter, tiles sized by Web Mercator
+let tileSize = TILE_SIZE; // Scene units per tile
+let currentLatitude = null; // Latitude of the last grid update, sizes tiles in geo scale
+
+// Fog range for the current grid radius
+let currentFogNear = getFogRangeForRadius(gridRadius).near;
+let currentFogFar = getFogRangeForRadius(gridRadius).far;
+
+// Lazy loading helpers (reused every frame)
+const frustum = new THREE.Frustum();
+const frustumMatrix = new THREE.Matrix4();
+const tileWorldPosition = new THREE.Vector3();
+const VIEW_PRIORITY_PENALTY = 1e6; // Pushes off-screen tiles behind every on-screen one
+const METERS_PER_DEGREE_LAT = 111320; // Approximate, good enough for picking tiles
+const raycaster = new THREE.Raycaster();
+
+// Shared shader clock (seconds) for time-based tile effects
+const effectTime = { value: 0 };
+
+// Pixel-art rendering mode
+let pixelPerfect = INITIAL_PIXEL_PERFECT; // Nearest-neighbour magnification for crisp pixel edges
+const pixelGridOpacity = { value: INITIAL_PIXEL_GRID ? 1 : 0 }; // Shared shader uniform for the grid overlay
+
+// Time-lapse history
+let keepHistory = INITIAL_HISTORY_SNAPSHOTS; // Store a dated snapshot of every downloaded tile
+let historyTime = null; // Snapshot time (ms) the sky is showing, null for live tiles
+let historyRequestId = 0; // Ignores snapshot swaps that were superseded
+const emptyTexture = new THREE.DataTexture(new Uint8Array(4), 1, 1, THREE.RGBAFormat); // Shown where a tile has no snapshot yet
+emptyTexture.needsUpdate = true;
 
 // Callback to get current opacity from UI slider
 let getOpacityCallback = null;
+// Callback for sky placement changes (set by main module for overlays)
+let gridChangeCallback = null;
+let notifiedPixelOffsets = null; // Pixel offsets the grid change listeners last heard about
+// Callback for when a live refresh has finished (set by main module)
+let tilesRefreshedCallback = null;
 
 /**
  * Set callback to get current opacity from UI
@@ -39,6 +100,197 @@ export function setSkyHeight(height) {
   tileGrid.forEach(({ plane }) => {
     plane.position.y = SKY_HEIGHT;
   });
+  retiringTiles.forEach(({ plane }) => {
+    plane.position.y = SKY_HEIGHT;
+  });
+  notifyGridChange();
+}
+
+/**
+ * Set tile group heading (yaw in radians) so grid north sits over true north
+ */
+export function setTileGroupHeading(heading) {
+  groupHeading = heading;
+  if (tileGroup) {
+    tileGroup.rotation.y = groupHeading;
+  }
+}
+
+/**
+ * Get the tile grid's heading rotation in radians
+ */
+export function getTileGroupHeading() {
+  return groupHeading;
+}
+
+/**
+ * Get the group holding the sky (created on first use, shared by tiles and overlays)
+ */
+export function getTileGroup() {
+  if (!tileGroup) {
+    tileGroup = new THREE.Group();
+    tileGroup.rotation.y = groupHeading;
+    scene.add(tileGroup);
+  }
+  return tileGroup;
+}
+
+/**
+ * Set callback for when the grid center, pixel offsets or sky height change
+ */
+export function setGridChangeCallback(callback) {
+  gridChangeCallback = callback;
+}
+
+/**
+ * Set callback for when a live refresh has finished updating the grid
+ */
+export function setTilesRefreshedCallback(callback) {
+  tilesRefreshedCallback = callback;
+}
+
+/**
+ * Notify listeners that sky placement changed
+ */
+function notifyGridChange() {
+  notifiedPixelOffsets = currentPixelOffsets;
+  if (gridChangeCallback) {
+    gridChangeCallback();
+  }
+}
+
+/**
+ * Position (in tile group space) of the top-left corner of a global wplace pixel
+ * @param {number} globalX - tileX * TILE_PIXELS + pixelX
+ * @param {number} globalY - tileY * TILE_PIXELS + pixelY
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function getPixelScenePosition(globalX, globalY) {
+  const unitsPerPixel = getUnitsPerPixel();
+  return {
+    x: (globalX - centerTile.tileX * TILE_PIXELS - currentPixelOffsets.pixelX) * unitsPerPixel,
+    y: SKY_HEIGHT,
+    z: (globalY - centerTile.tileY * TILE_PIXELS - currentPixelOffsets.pixelY) * unitsPerPixel
+  };
+}
+
+/**
+ * Scene units per wplace pixel
+ */
+export function getUnitsPerPixel() {
+  return tileSize / TILE_PIXELS;
+}
+
+/**
+ * Get whether the sky is at true geographic scale (one scene unit = one meter)
+ */
+export function getGeoScale() {
+  return geoScale;
+}
+
+/**
+ * Switch between true geographic scale and the fixed TILE_SIZE units per tile
+ */
+export function setGeoScale(enabled) {
+  geoScale = enabled;
+  if (updateTileSize()) {
+    tileGrid.forEach(repositionTile);
+    retiringTiles.forEach(repositionTile);
+    notifyGridChange();
+  }
+  console.log(`Geographic scale ${geoScale ? 'on' : 'off'} - ${tileSize.toFixed(1)} units per tile`);
+}
+
+/**
+ * Recompute the tile size for the scale mode and latitude, rescaling fog to match
+ * @returns {boolean} Whether the size changed (tiles need repositioning)
+ */
+function updateTileSize() {
+  const size = geoScale && currentLatitude !== null
+    ? getTileSizeMeters(currentLatitude, getTileZoom())
+    : TILE_SIZE;
+  // Ignore the tiny changes from walking north or south
+  if (Math.abs(size - tileSize) / tileSize < 0.001) return false;
+  
+  tileSize = size;
+  const { near, far } = getFogRangeForRadius(gridRadius);
+  updateFogParameters(near, far);
+  return true;
+}
+
+/**
+ * Fog range that fades out just beyond the outermost ring of tiles
+ * (fogNear/fogFar in config are tuned for the 3x3 grid at TILE_SIZE units per tile)
+ */
+function getFogRangeForRadius(radius) {
+  const extra = (radius - 1) * TILE_SIZE;
+  const scale = tileSize / TILE_SIZE;
+  return { near: (fogNear + extra) * scale, far: (fogFar + extra) * scale };
+}
+
+/**
+ * Get current grid radius
+ */
+export function getGridRadius() {
+  return gridRadius;
+}
+
+/**
+ * Set grid radius (1 = 3x3, 2 = 5x5, 3 = 7x7), rescale fog and update the grid
+ */
+export function setGridRadius(radius) {
+  gridRadius = radius;
+  
+  const { near, far } = getFogRangeForRadius(gridRadius);
+  updateFogParameters(near, far);
+  
+  // Re-diff the current grid so tiles are added or dropped around the same center
+  if (tileGrid.size > 0) {
+    buildTileGrid(centerTile.tileX, centerTile.tileY);
+    if (!hasPendingTiles()) {
+      disposeRetiringTiles();
+    }
+  }
+  
+  console.log(`Grid radius set to ${gridRadius} (${2 * gridRadius + 1}x${2 * gridRadius + 1})`);
+}
+
+/**
+ * Get pixel perfect mode state
+ */
+export function getPixelPerfect() {
+  return pixelPerfect;
+}
+
+/**
+ * Toggle pixel perfect mode (nearest-neighbour magnification) on all loaded tiles
+ */
+export function setPixelPerfect(enabled) {
+  pixelPerfect = enabled;
+  [...tileGrid.values(), ...retiringTiles.values()].forEach(({ material }) => {
+    [material.userData.liveTexture, material.userData.historyTexture].forEach((texture) => {
+      if (texture && texture !== emptyTexture) {
+        applyTextureFiltering(texture);
+        texture.needsUpdate = true;
+      }
+    });
+  });
+  console.log(`Pixel perfect mode ${pixelPerfect ? 'on' : 'off'}`);
+}
+
+/**
+ * Get pixel grid overlay state
+ */
+export function getPixelGrid() {
+  return pixelGridOpacity.value > 0;
+}
+
+/**
+ * Toggle the pixel grid overlay drawn in the tile shader
+ */
+export function setPixelGrid(enabled) {
+  pixelGridOpacity.value = enabled ? 1 : 0;
+  console.log(`Pixel grid ${enabled ? 'on' : 'off'}`);
 }
 
 /**
@@ -59,10 +311,51 @@ function createAlphaFogMaterial() {
     opacity: 0 // Start invisible, will fade in when texture loads
   });
   
+  // Changed-pixel highlight uniforms live on the material so they survive recompiles
+  material.userData.changeMask = { value: null };
+  material.userData.changeTime = { value: -1e6 }; // Long ago, so nothing pulses yet
+  
   material.onBeforeCompile = function (shader) {
     // Add custom fog uniforms
-    shader.uniforms.customFogNear = { value: fogNear };
-    shader.uniforms.customFogFar = { value: fogFar };
+    shader.uniforms.customFogNear = { value: currentFogNear };
+    shader.uniforms.customFogFar = { value: currentFogFar };
+    
+    // Add changed-pixel highlight uniforms
+    shader.uniforms.changeMask = material.userData.changeMask;
+    shader.uniforms.changeTime = material.userData.changeTime;
+    shader.uniforms.effectTime = effectTime;
+    shader.uniforms.highlightDuration = { value: CHANGE_HIGHLIGHT_DURATION };
+    shader.uniforms.highlightColor = { value: new THREE.Color(CHANGE_HIGHLIGHT_COLOR) };
+    
+    // Add pixel grid uniform
+    shader.uniforms.pixelGridOpacity = pixelGridOpacity;
+    
+    // Pulse pixels that changed on the last refresh, fading out over highlightDuration
+    const changeHighlight = `
+      #ifdef USE_MAP
+        float changeAge = effectTime - changeTime;
+        if (changeAge < highlightDuration && texture2D(changeMask, vMapUv).r > 0.5) {
+          float fade = 1.0 - changeAge / highlightDuration;
+          float pulse = fade * (0.6 + 0.4 * sin(changeAge * 12.0));
+          gl_FragColor.rgb = mix(gl_FragColor.rgb, highlightColor, pulse);
+          gl_FragColor.a = max(gl_FragColor.a, pulse);
+        }
+      #endif
+    `;
+    
+    // Thin lines along pixel edges, faded out once pixels get too small on screen to separate
+    const pixelGrid = `
+      #ifdef USE_MAP
+        vec2 gridPos = vMapUv * vec2(textureSize(map, 0));
+        vec2 gridWidth = fwidth(gridPos);
+        vec2 gridDist = abs(fract(gridPos - 0.5) - 0.5) / gridWidth;
+        float gridLine = 1.0 - min(min(gridDist.x, gridDist.y), 1.0);
+        float gridVisibility = smoothstep(4.0, 8.0, 1.0 / max(gridWidth.x, gridWidth.y));
+        float grid = gridLine * gridVisibility * pixelGridOpacity;
+        gl_FragColor.rgb = mix(gl_FragColor.rgb, vec3(0.0), grid * 0.5);
+        gl_FragColor.a = max(gl_FragColor.a, grid * 0.3);
+      #endif
+    `;
     
     // Add the custom fog calculation
     const alphaFog = `
@@ -72,14 +365,24 @@ function createAlphaFogMaterial() {
       gl_FragColor.a *= (0.8 - fogFactor);
     `;
 
-    // Insert the fog calculation before the end of the fragment shader
+    // Insert the highlight, grid and fog calculation before the end of the fragment shader
     shader.fragmentShader = shader.fragmentShader.replace(
       '#include <dithering_fragment>',
-      alphaFog + '\n#include <dithering_fragment>'
+      changeHighlight + pixelGrid + alphaFog + '\n#include <dithering_fragment>'
     );
     
     // Add uniform declarations
-    shader.fragmentShader = 'uniform float customFogNear;\nuniform float customFogFar;\n' + shader.fragmentShader;
+    shader.fragmentShader = [
+      'uniform float customFogNear;',
+      'uniform float customFogFar;',
+      'uniform sampler2D changeMask;',
+      'uniform float changeTime;',
+      'uniform float effectTime;',
+      'uniform float highlightDuration;',
+      'uniform vec3 highlightColor;',
+      'uniform float pixelGridOpacity;',
+      shader.fragmentShader
+    ].join('\n');
 
     material.userData.shader = shader;
   };
@@ -91,13 +394,23 @@ function createAlphaFogMaterial() {
  * Helper function to adjust fog parameters dynamically
  */
 export function updateFogParameters(near, far) {
+  currentFogNear = near;
+  currentFogFar = far;
+  
   // Update all tile materials with new fog parameters
-  tileGrid.forEach(({ material }) => {
+  [...tileGrid.values(), ...retiringTiles.values()].forEach(({ material }) => {
     if (material.userData.shader) {
       material.userData.shader.uniforms.customFogNear.value = near;
       material.userData.shader.uniforms.customFogFar.value = far;
     }
   });
+  
+  // Keep the far plane past the fog so distant tiles fade out instead of being clipped
+  const cameraFar = Math.max(CAMERA_FAR, far * 1.1);
+  if (camera.far !== cameraFar) {
+    camera.far = cameraFar;
+    camera.updateProjectionMatrix();
+  }
   console.log(`Fog parameters updated: near=${near}, far=${far}`);
 }
 
@@ -105,19 +418,20 @@ export function updateFogParameters(near, far) {
  * Calculate tile position based on relative coordinates
  */
 function calculateTilePosition(relativeX, relativeY) {
+  const unitsPerPixel = getUnitsPerPixel();
   if (relativeX === 0 && relativeY === 0) {
     // Center tile - apply user pixel offset for precise positioning
     return {
-      x: TILE_SIZE/2 - currentPixelOffsets.pixelX,
-      z: TILE_SIZE/2 - currentPixelOffsets.pixelY
+      x: tileSize/2 - currentPixelOffsets.pixelX * unitsPerPixel,
+      z: tileSize/2 - currentPixelOffsets.pixelY * unitsPerPixel
     };
   } else {
     // Adjacent tile - position relative to center tile
-    const centerOffsetX = TILE_SIZE/2 - currentPixelOffsets.pixelX;
-    const centerOffsetZ = TILE_SIZE/2 - currentPixelOffsets.pixelY;
+    const centerOffsetX = tileSize/2 - currentPixelOffsets.pixelX * unitsPerPixel;
+    const centerOffsetZ = tileSize/2 - currentPixelOffsets.pixelY * unitsPerPixel;
     return {
-      x: centerOffsetX + (relativeX * TILE_SIZE),
-      z: centerOffsetZ - (relativeY * TILE_SIZE) // Invert Y for correct north/south
+      x: centerOffsetX + (relativeX * tileSize),
+      z: centerOffsetZ + (relativeY * tileSize) // Tile Y grows southward, and south is +Z
     };
   }
 }
@@ -126,51 +440,117 @@ function calculateTilePosition(relativeX, relativeY) {
  * Create a single tile plane
  */
 function createTilePlane(tileX, tileY, relativeX, relativeY) {
-  const geom = new THREE.PlaneGeometry(TILE_SIZE, TILE_SIZE);
+  const geom = new THREE.PlaneGeometry(1, 1); // Scaled to the current tile size
   const planeMat = createAlphaFogMaterial(); // Use fog-enabled material
   const plane = new THREE.Mesh(geom, planeMat);
   
   // Make it horizontal like a ceiling and put it in the sky
   plane.rotation.x = -Math.PI / 2;
+  plane.scale.set(tileSize, tileSize, 1);
+  plane.userData = { tileX, tileY }; // Lets raycasts map a hit back to its tile
   
-  // Position plane in the grid (group will handle compass rotation)
+  // Position plane in the grid (group handles compass rotation, -Z is north)
   const position = calculateTilePosition(relativeX, relativeY);
   plane.position.set(position.x, SKY_HEIGHT, position.z);
   
   // Add plane to the tile group instead of directly to scene
-  if (!tileGroup) {
-    tileGroup = new THREE.Group();
-    scene.add(tileGroup);
-  }
-  tileGroup.add(plane);
+  getTileGroup().add(plane);
   
   return { plane, material: planeMat };
 }
 
 /**
- * Build tile grid for given center coordinates
+ * Check whether a tile offset from the center belongs in the grid
+ */
+function isInGrid(relativeX, relativeY) {
+  return Math.abs(relativeX) <= gridRadius && Math.abs(relativeY) <= gridRadius;
+}
+
+/**
+ * Remove a tile plane from the group and free its GPU resources
+ */
+function disposeTile(tile) {
+  const { plane, material } = tile;
+  tile.disposed = true;
+  material.userData.disposed = true;
+  // Let an in-flight load finish first, its callback disposes the tile
+  if (tile.loading) return;
+  if (tileGroup) {
+    tileGroup.remove(plane);
+  }
+  plane.geometry.dispose();
+  material.userData.liveTexture?.dispose();
+  clearHistoryTexture(material);
+  material.userData.changeMask.value?.dispose();
+  material.dispose();
+}
+
+/**
+ * Reposition a tile plane after the center tile or pixel offsets change
+ */
+function repositionTile(tile) {
+  tile.relativeX = tile.tileX - centerTile.tileX;
+  tile.relativeY = tile.tileY - centerTile.tileY;
+  const position = calculateTilePosition(tile.relativeX, tile.relativeY);
+  tile.plane.position.set(position.x, SKY_HEIGHT, position.z);
+  tile.plane.scale.set(tileSize, tileSize, 1);
+}
+
+/**
+ * Update tile grid for given center coordinates, reusing tiles already in the grid
+ * @returns {Array} Newly created tiles that still need a texture
  */
 function buildTileGrid(centerTileX, centerTileY) {
   // Store center tile coordinates
   centerTile = { tileX: centerTileX, tileY: centerTileY };
   
-  // Create 3x3 grid of tiles (-1 to +1 relative to center)
-  for (let dx = -1; dx <= 1; dx++) {
-    for (let dy = -1; dy <= 1; dy++) {
+  // Retire tiles that fell out of view (kept on screen until replacements load)
+  tileGrid.forEach((tile, tileKey) => {
+    if (!isInGrid(tile.tileX - centerTileX, tile.tileY - centerTileY)) {
+      tileGrid.delete(tileKey);
+      retiringTiles.set(tileKey, tile);
+    }
+  });
+  
+  // Fill in grid of tiles (-radius to +radius relative to center)
+  const newTiles = [];
+  for (let dx = -gridRadius; dx <= gridRadius; dx++) {
+    for (let dy = -gridRadius; dy <= gridRadius; dy++) {
       const tileX = centerTileX + dx;
       const tileY = centerTileY + dy;
       const tileKey = `${tileX},${tileY}`;
       
+      if (tileGrid.has(tileKey)) continue;
+      
+      // Tile came back into view before its retirement finished - adopt it again
+      if (retiringTiles.has(tileKey)) {
+        tileGrid.set(tileKey, retiringTiles.get(tileKey));
+        retiringTiles.delete(tileKey);
+        continue;
+      }
+      
       const tileData = createTilePlane(tileX, tileY, dx, dy);
-      tileGrid.set(tileKey, {
+      const tile = {
         ...tileData,
         tileX,
         tileY,
         relativeX: dx,
-        relativeY: dy
-      });
+        relativeY: dy,
+        loaded: false,
+        loading: false,
+        disposed: false
+      };
+      tileGrid.set(tileKey, tile);
+      newTiles.push(tile);
     }
   }
+  
+  // Kept and retiring tiles shift to match the new center and pixel offsets
+  tileGrid.forEach(repositionTile);
+  retiringTiles.forEach(repositionTile);
+  notifyGridChange();
+  
+  return newTiles;
 }
 
 /**
@@ -178,136 +558,648 @@ function buildTileGrid(centerTileX, centerTileY) {
  */
 function clearTileGrid() {
   // Remove all existing tile planes from group
-  tileGrid.forEach(({ plane }) => {
-    if (tileGroup) {
-      tileGroup.remove(plane);
-    }
-    plane.geometry.dispose();
-    plane.material.dispose();
-  });
+  tileGrid.forEach(disposeTile);
   tileGrid.clear();
+  disposeRetiringTiles();
+}
+
+/**
+ * Drop every tile and load the grid again around the same center (e.g. after switching tile source)
+ */
+export function reloadTileGrid() {
+  if (tileGrid.size === 0) return;
   
-  // Remove and recreate the tile group for clean state
-  if (tileGroup) {
-    scene.remove(tileGroup);
-    tileGroup = null;
+  const { tileX, tileY } = centerTile;
+  clearTileGrid();
+  buildTileGrid(tileX, tileY);
+  console.log(`Tile grid reloaded at ${tileX},${tileY}`);
+}
+
+/**
+ * Fetch a tile PNG from the network
+ * @returns {Promise<Blob>}
+ */
+async function fetchTileFromNetwork(tileX, tileY) {
+  const response = await fetch(getTileUrl(tileX, tileY), getTileRequestInit());
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
   }
+  return response.blob();
 }
 
 /**
- * Create tile grid for given center coordinates
+ * Store a downloaded tile in the offline cache (and the history, if enabled)
  */
-function createTileGrid(centerTileX, centerTileY) {
-  // Clear existing tiles
-  clearTileGrid();
-  
-  // Create new tiles
-  buildTileGrid(centerTileX, centerTileY);
+function storeTileBlob(cacheKey, blob) {
+  if (keepHistory) {
+    putTileSnapshot(cacheKey, blob);
+  }
+  return putCachedTile(cacheKey, blob);
 }
 
 /**
- * Load texture for a single tile
+ * Fetch a tile PNG from the network and store it in the offline cache
+ * @returns {Promise<Blob>}
  */
-function loadSingleTileTexture(tileX, tileY, material, onLoadCallback) {
-  const url = `https://wplace-proxy.deezus.workers.dev/wplace/files/s0/tiles/${tileX}/${tileY}.png?t=${Date.now()}`;
+async function fetchTileBlob(tileX, tileY) {
+  const cacheKey = getTileCacheKey(tileX, tileY);
+  const blob = await fetchTileFromNetwork(tileX, tileY);
+  storeTileBlob(cacheKey, blob);
+  return blob;
+}
+
+/**
+ * Decode a tile PNG blob into a texture
+ * @returns {Promise<THREE.Texture>}
+ */
+function createTextureFromBlob(blob) {
+  const objectUrl = URL.createObjectURL(blob);
   const loader = new THREE.TextureLoader();
-  loader.crossOrigin = 'anonymous';
-  
-  loader.load(
-    url,
-    (texture) => {
-      texture.wrapS = THREE.ClampToEdgeWrapping;
-      texture.wrapT = THREE.ClampToEdgeWrapping;
-      texture.anisotropy = Math.min(8, renderer.capabilities.getMaxAnisotropy?.() || 1);
-      
-      material.map = texture;
-      material.color.set(0xffffff);
-      material.transparent = true;
-      // Don't set opacity here - let the callback handle it atomically
-      material.needsUpdate = true;
-      console.log(`Tile texture loaded for ${tileX},${tileY}`);
-      
-      // Call the callback if provided
-      if (onLoadCallback) {
-        onLoadCallback();
+  
+  return new Promise((resolve, reject) => {
+    loader.load(
+      objectUrl,
+      (texture) => {
+        URL.revokeObjectURL(objectUrl);
+        texture.wrapS = THREE.ClampToEdgeWrapping;
+        texture.wrapT = THREE.ClampToEdgeWrapping;
+        texture.anisotropy = Math.min(8, renderer.capabilities.getMaxAnisotropy?.() || 1);
+        applyTextureFiltering(texture);
+        resolve(texture);
+      },
+      undefined,
+      (err) => {
+        URL.revokeObjectURL(objectUrl);
+        reject(err);
       }
-    },
-    undefined,
-    (err) => {
-      console.warn(`Failed to load tile texture for ${tileX},${tileY}:`, err);
+    );
+  });
+}
+
+/**
+ * Set texture filters for the current rendering mode
+ * Minification stays trilinear + anisotropic in both modes so distant pixels don't shimmer
+ */
+function applyTextureFiltering(texture) {
+  texture.magFilter = pixelPerfect ? THREE.NearestFilter : THREE.LinearFilter;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.generateMipmaps = true;
+}
+
+/**
+ * Put a live texture on a tile material, freeing the one it replaces
+ * @param {THREE.Material} material - Tile material
+ * @param {THREE.Texture} texture - Decoded tile texture
+ * @param {Blob} blob - PNG the texture was decoded from
+ */
+function applyTileTexture(material, texture, blob) {
+  if (material.userData.liveTexture && material.userData.liveTexture !== texture) {
+    material.userData.liveTexture.dispose();
+  }
+  material.userData.liveTexture = texture;
+  material.userData.tileBlob = blob; // Kept for pixel diffs on live refresh
+  showTileTexture(material);
+}
+
+/**
+ * Show the history snapshot on a tile if one is set, else the live texture
+ */
+function showTileTexture(material) {
+  const { historyTexture, liveTexture } = material.userData;
+  material.map = historyTexture || liveTexture || null;
+  material.color.set(0xffffff);
+  material.transparent = true;
+  // Don't set opacity here - let the callback handle it
+  material.needsUpdate = true;
+}
+
+/**
+ * Free the history snapshot shown on a tile
+ */
+function clearHistoryTexture(material) {
+  const { historyTexture } = material.userData;
+  if (historyTexture && historyTexture !== emptyTexture) {
+    historyTexture.dispose();
+  }
+  material.userData.historyTexture = null;
+  material.userData.historyBlob = null;
+}
+
+/**
+ * Decode the snapshot of a tile at a point in time
+ * @returns {Promise<{texture: THREE.Texture, blob: Blob | null}>} Empty texture if the tile had no snapshot yet
+ */
+async function loadHistoryTexture(tileX, tileY, time) {
+  const snapshot = await getTileSnapshot(getTileCacheKey(tileX, tileY), time);
+  if (!snapshot) {
+    return { texture: emptyTexture, blob: null };
+  }
+  try {
+    return { texture: await createTextureFromBlob(snapshot.blob), blob: snapshot.blob };
+  } catch (err) {
+    console.warn(`Failed to decode snapshot of tile ${tileX},${tileY}:`, err);
+    return { texture: emptyTexture, blob: null };
+  }
+}
+
+/**
+ * Put a decoded snapshot on a tile material
+ */
+function applyHistoryTexture(material, { texture, blob }) {
+  if (material.userData.disposed) {
+    if (texture !== emptyTexture) texture.dispose();
+    return;
+  }
+  clearHistoryTexture(material);
+  material.userData.historyTexture = texture;
+  material.userData.historyBlob = blob;
+  showTileTexture(material);
+}
+
+/**
+ * Get the PNG behind what a tile is currently showing (snapshot or live)
+ */
+function getShownTileBlob(material) {
+  return material.userData.historyTexture ? material.userData.historyBlob : material.userData.tileBlob;
+}
+
+/**
+ * Load texture for a single tile
+ * Cached tiles are shown immediately; stale ones are revalidated in the background
+ */
+async function loadSingleTileTexture(tileX, tileY, material, onLoadCallback) {
+  const cached = await getCachedTile(getTileCacheKey(tileX, tileY));
+  
+  if (cached) {
+    try {
+      applyTileTexture(material, await createTextureFromBlob(cached.blob), cached.blob);
+      console.log(`Tile texture loaded from cache for ${tileX},${tileY}`);
+    } catch (err) {
+      console.warn(`Failed to decode cached tile ${tileX},${tileY}:`, err);
+    }
+    
+    // Call the callback if provided
+    if (onLoadCallback) {
+      onLoadCallback();
+    }
+    
+    // Revalidate stale tiles without blocking the cached copy
+    if (Date.now() - cached.fetchedAt > TILE_CACHE_STALE_AFTER) {
+      refreshSingleTileTexture(tileX, tileY, material, false).catch((err) => {
+        console.warn(`Failed to revalidate tile ${tileX},${tileY}, keeping cached copy:`, err);
+      });
+    }
+    return;
+  }
+  
+  try {
+    const blob = await fetchTileBlob(tileX, tileY);
+    applyTileTexture(material, await createTextureFromBlob(blob), blob);
+    console.log(`Tile texture loaded for ${tileX},${tileY}`);
+  } catch (err) {
+    console.warn(`Failed to load tile texture for ${tileX},${tileY}:`, err);
+  }
+  
+  // Still call callback even on error to prevent hanging
+  if (onLoadCallback) {
+    onLoadCallback();
+  }
+}
+
+/**
+ * Re-fetch a loaded tile from the network and swap in the new texture
+ * @param {boolean} highlightChanges - Diff against the previous pixels and pulse the changes
+ * @returns {Promise<number>} Number of changed pixels (0 when not highlighting)
+ */
+async function refreshSingleTileTexture(tileX, tileY, material, highlightChanges) {
+  const previousBlob = material.userData.tileBlob;
+  const blob = await fetchTileBlob(tileX, tileY);
+  const texture = await createTextureFromBlob(blob);
+  
+  // Tile may have left the grid while refreshing
+  if (material.userData.disposed) {
+    texture.dispose();
+    return 0;
+  }
+  
+  let changed = 0;
+  if (highlightChanges && previousBlob && historyTime === null) {
+    let diff = null;
+    try {
+      const [before, after] = await Promise.all([decodeImagePixels(previousBlob), decodeImagePixels(blob)]);
+      diff = createChangeMask(before, after);
+    } catch (err) {
+      console.warn(`Could not diff tile ${tileX},${tileY}, refreshing without highlights:`, err);
+    }
+    
+    // ...or while its pixels were being compared
+    if (material.userData.disposed) {
+      texture.dispose();
+      return 0;
+    }
+    changed = diff ? diff.changed : 0;
+    
+    if (changed > 0) {
+      const maskTexture = new THREE.DataTexture(diff.mask, diff.width, diff.height, THREE.RedFormat);
+      maskTexture.magFilter = THREE.NearestFilter;
+      maskTexture.minFilter = THREE.NearestFilter;
+      maskTexture.needsUpdate = true;
       
-      // Still call callback even on error to prevent hanging
-      if (onLoadCallback) {
-        onLoadCallback();
-      }
+      material.userData.changeMask.value?.dispose();
+      material.userData.changeMask.value = maskTexture;
+      material.userData.changeTime.value = effectTime.value;
     }
-  );
+  }
+  
+  applyTileTexture(material, texture, blob);
+  console.log(`Tile texture refreshed for ${tileX},${tileY}${highlightChanges ? ` (${changed} pixel(s) changed)` : ''}`);
+  return changed;
 }
 
 /**
  * Load tile grid textures for given lat/lon
+ * Tiles already in the grid are reused, tiles newly in view are queued for lazy loading
  */
 export function loadTileGridTextures(lat, lon) {
-  const { tileX, tileY, pixelX, pixelY } = latLonToTile(lat, lon, ZOOM_LEVEL, TILE_SIZE);
+  const { tileX, tileY, pixelX, pixelY } = getViewerTilePosition(lat, lon);
   
   // Store pixel offsets for positioning
   currentPixelOffsets = { pixelX, pixelY };
   
-  // Save reference to old tiles (will remove after new ones load)
-  const oldTileGrid = new Map(tileGrid);
-  const oldTileGroup = tileGroup;
+  // Tiles shrink away from the equator at geographic scale
+  currentLatitude = lat;
+  updateTileSize();
   
-  // Clear current grid reference (but don't dispose yet)
-  tileGrid.clear();
-  tileGroup = null;
+  // Diff the grid against the new center
+  const newTiles = buildTileGrid(tileX, tileY);
   
-  // Create new tile grid
-  buildTileGrid(tileX, tileY);
+  console.log(`Loading tile grid at ${tileX},${tileY} (${Math.floor(pixelX)},${Math.floor(pixelY)}) - ${newTiles.length} new tile(s) queued`);
   
-  // Track how many textures have loaded
-  let loadedCount = 0;
-  const totalTiles = tileGrid.size;
-  const newTileMaterials = []; // Store materials to update opacity atomically
+  // Nothing to wait for - retire old tiles right away
+  if (!hasPendingTiles()) {
+    disposeRetiringTiles();
+  }
+}
+
+/**
+ * Tile and sub-pixel offset of the viewer (fractional, so movement is smooth)
+ */
+function getViewerTilePosition(lat, lon) {
+  const { x, y } = latLonToPixel(lat, lon, getTileZoom(), TILE_PIXELS);
+  const tileX = Math.floor(x / TILE_PIXELS);
+  const tileY = Math.floor(y / TILE_PIXELS);
+  return { tileX, tileY, pixelX: x - tileX * TILE_PIXELS, pixelY: y - tileY * TILE_PIXELS };
+}
+
+/**
+ * Move the viewer under the sky without reloading (called every frame while moving)
+ * The grid is only re-centered when the viewer crosses into a new tile, and overlays
+ * are only re-placed every MOVEMENT_NOTIFY_PIXEL_STEP pixels (or when settled).
+ * @param {boolean} settled - Last step of a move, so overlays catch up exactly
+ */
+export function setViewerPosition(lat, lon, settled = true) {
+  const { tileX, tileY, pixelX, pixelY } = getViewerTilePosition(lat, lon);
+  if (tileGrid.size === 0 || tileX !== centerTile.tileX || tileY !== centerTile.tileY) {
+    loadTileGridTextures(lat, lon);
+    return;
+  }
   
-  // Load textures for all tiles in the grid
-  tileGrid.forEach(({ material, tileX: tileTileX, tileY: tileTileY }, tileKey) => {
-    newTileMaterials.push(material);
+  currentPixelOffsets = { pixelX, pixelY };
+  currentLatitude = lat;
+  updateTileSize();
+  tileGrid.forEach(repositionTile);
+  retiringTiles.forEach(repositionTile);
+  
+  const moved = notifiedPixelOffsets
+    ? Math.hypot(pixelX - notifiedPixelOffsets.pixelX, pixelY - notifiedPixelOffsets.pixelY)
+    : Infinity;
+  if (settled || moved >= MOVEMENT_NOTIFY_PIXEL_STEP) {
+    notifyGridChange();
+  }
+}
+
+/**
+ * Check whether any tile in the grid still needs its texture
+ */
+function hasPendingTiles() {
+  for (const tile of tileGrid.values()) {
+    if (!tile.loaded) return true;
+  }
+  return false;
+}
+
+/**
+ * Loading priority for a tile: tiles in view first, then nearest to the viewer
+ */
+function getTileLoadPriority(tile) {
+  // Planes created this frame haven't been rendered yet, so refresh their world matrix
+  tile.plane.updateWorldMatrix(true, false);
+  const inView = frustum.intersectsObject(tile.plane);
+  tile.plane.getWorldPosition(tileWorldPosition);
+  const distance = tileWorldPosition.distanceTo(camera.position);
+  return (inView ? 0 : VIEW_PRIORITY_PENALTY) + distance;
+}
+
+/**
+ * Start loading queued tiles, most visible first (called from render loop)
+ */
+export function updateTileLoading() {
+  if (tilesInFlight >= MAX_CONCURRENT_TILE_LOADS) return;
+  
+  const queued = [];
+  tileGrid.forEach((tile) => {
+    if (!tile.loaded && !tile.loading) queued.push(tile);
+  });
+  if (queued.length === 0) return;
+  
+  // Build the camera frustum for this frame
+  camera.updateMatrixWorld();
+  frustumMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+  frustum.setFromProjectionMatrix(frustumMatrix);
+  
+  queued
+    .map(tile => ({ tile, priority: getTileLoadPriority(tile) }))
+    .sort((a, b) => a.priority - b.priority)
+    .slice(0, MAX_CONCURRENT_TILE_LOADS - tilesInFlight)
+    .forEach(({ tile }) => startTileLoad(tile));
+}
+
+/**
+ * Load a single queued tile and reveal it once ready
+ */
+function startTileLoad(tile) {
+  tile.loading = true;
+  tilesInFlight++;
+  
+  loadSingleTileTexture(tile.tileX, tile.tileY, tile.material, () => {
+    tilesInFlight--;
+    tile.loading = false;
+    tile.loaded = true;
     
-    loadSingleTileTexture(tileTileX, tileTileY, material, () => {
-      // Callback when texture loads
-      loadedCount++;
-      
-      // Once all textures are loaded, swap old and new tiles atomically
-      if (loadedCount === totalTiles) {
-        // Atomic swap: remove old tiles and show new ones in same frame
-        // First, dispose old tiles
-        oldTileGrid.forEach(({ plane }) => {
-          if (oldTileGroup) {
-            oldTileGroup.remove(plane);
-          }
-          plane.geometry.dispose();
-          plane.material.dispose();
-        });
-        
-        // Remove old group from scene
-        if (oldTileGroup) {
-          scene.remove(oldTileGroup);
+    // Tile was dropped from the grid while loading
+    if (tile.disposed) {
+      disposeTile(tile);
+      return;
+    }
+    
+    // Show the tile at the current opacity setting (respects user setting)
+    tile.material.opacity = getOpacityCallback ? getOpacityCallback() : 0.5;
+    
+    // Scrubbing through history - show this tile's snapshot too
+    if (historyTime !== null) {
+      const requestId = historyRequestId;
+      loadHistoryTexture(tile.tileX, tile.tileY, historyTime).then((snapshot) => {
+        if (requestId === historyRequestId) {
+          applyHistoryTexture(tile.material, snapshot);
+        } else if (snapshot.texture !== emptyTexture) {
+          snapshot.texture.dispose();
         }
-        
-        // Get current opacity from slider (respects user setting)
-        const currentOpacity = getOpacityCallback ? getOpacityCallback() : 0.5;
-        
-        // Immediately show new tiles at current opacity setting (this happens in the same frame)
-        newTileMaterials.forEach(mat => {
-          mat.opacity = currentOpacity;
-        });
-        
-        console.log('Tile swap completed atomically with opacity:', currentOpacity);
+      });
+    }
+    
+    // Once the whole grid is loaded, swap out the old tiles atomically
+    if (!hasPendingTiles() && retiringTiles.size > 0) {
+      disposeRetiringTiles();
+      console.log('Tile swap completed - retired tiles removed');
+    }
+  });
+}
+
+/**
+ * Dispose tiles that have left the grid
+ */
+function disposeRetiringTiles() {
+  retiringTiles.forEach(disposeTile);
+  retiringTiles.clear();
+}
+
+/**
+ * Advance the shader clock for tile effects (called from render loop)
+ * @param {number} currentTime - Current time from animation loop (ms)
+ */
+export function updateTileEffects(currentTime) {
+  effectTime.value = currentTime / 1000;
+}
+
+/**
+ * Re-fetch every loaded tile in the grid and highlight pixels that changed
+ */
+export async function refreshTileGridTextures() {
+  if (liveRefreshInProgress) return;
+  liveRefreshInProgress = true;
+  
+  const queue = [...tileGrid.values()].filter(tile => tile.loaded && !tile.disposed);
+  let totalChanged = 0;
+  
+  // Each worker pulls from the shared queue until it is empty
+  const worker = async () => {
+    while (queue.length > 0) {
+      const { tileX, tileY, material } = queue.shift();
+      try {
+        totalChanged += await refreshSingleTileTexture(tileX, tileY, material, true);
+      } catch (err) {
+        console.warn(`Live refresh failed for ${tileX},${tileY}:`, err);
       }
+    }
+  };
+  
+  try {
+    await Promise.all(Array.from({ length: MAX_CONCURRENT_TILE_LOADS }, worker));
+    console.log(`Live refresh completed: ${totalChanged} pixel(s) changed`);
+    if (tilesRefreshedCallback) {
+      tilesRefreshedCallback(totalChanged);
+    }
+  } finally {
+    liveRefreshInProgress = false;
+  }
+}
+
+/**
+ * Start or stop the live refresh timer
+ * @param {number} intervalSeconds - Seconds between refreshes, 0 to turn live refresh off
+ */
+export function setLiveRefreshInterval(intervalSeconds) {
+  if (liveRefreshIntervalId) {
+    clearInterval(liveRefreshIntervalId);
+    liveRefreshIntervalId = null;
+  }
+  
+  if (intervalSeconds > 0) {
+    liveRefreshIntervalId = setInterval(refreshTileGridTextures, intervalSeconds * 1000);
+    console.log(`Live tile refresh every ${intervalSeconds}s`);
+  } else {
+    console.log('Live tile refresh off');
+  }
+}
+
+/**
+ * Get whether downloaded tiles are kept as history snapshots
+ */
+export function getKeepHistory() {
+  return keepHistory;
+}
+
+/**
+ * Turn history snapshots of downloaded tiles on or off
+ */
+export function setKeepHistory(enabled) {
+  keepHistory = enabled;
+  console.log(`Tile history snapshots ${keepHistory ? 'on' : 'off'}`);
+}
+
+/**
+ * Get every snapshot time stored for the tiles in the grid
+ * @returns {Promise<number[]>} Snapshot times (ms), oldest first
+ */
+export function getTileGridSnapshotTimes() {
+  const keys = [...tileGrid.values()].map(({ tileX, tileY }) => getTileCacheKey(tileX, tileY));
+  return getTileSnapshotTimes(keys);
+}
+
+/**
+ * Show the whole grid as it was at a snapshot time
+ * Every snapshot is decoded first and then swapped in at once, so the sky never shows a mix of times.
+ * @param {number} time - Snapshot time (ms)
+ * @returns {Promise<boolean>} False if a newer swap superseded this one
+ */
+export async function showTileGridAt(time) {
+  historyTime = time;
+  const requestId = ++historyRequestId;
+  const tiles = [...tileGrid.values()];
+  
+  const snapshots = await Promise.all(tiles.map(({ tileX, tileY }) => loadHistoryTexture(tileX, tileY, time)));
+  
+  if (requestId !== historyRequestId) {
+    snapshots.forEach(({ texture }) => {
+      if (texture !== emptyTexture) texture.dispose();
     });
+    return false;
+  }
+  
+  tiles.forEach((tile, i) => applyHistoryTexture(tile.material, snapshots[i]));
+  console.log(`Showing tile history at ${new Date(time).toISOString()}`);
+  return true;
+}
+
+/**
+ * Go back to the live tiles after scrubbing through history
+ */
+export function showLiveTiles() {
+  if (historyTime === null) return;
+  historyTime = null;
+  historyRequestId++;
+  
+  [...tileGrid.values(), ...retiringTiles.values()].forEach(({ material }) => {
+    if (material.userData.disposed) return;
+    clearHistoryTexture(material);
+    showTileTexture(material);
   });
+  console.log('Showing live tiles');
+}
+
+/**
+ * Get the tile range covering a radius around a point
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+ */
+export function getTileRangeForRadius(lat, lon, radiusMeters) {
+  const dLat = radiusMeters / METERS_PER_DEGREE_LAT;
+  const dLon = radiusMeters / (METERS_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180));
+  // North-west and south-east corners of the bounding box (tile Y grows southward)
+  const nw = latLonToTile(Math.min(85, lat + dLat), Math.max(-180, lon - dLon), getTileZoom(), TILE_PIXELS);
+  const se = latLonToTile(Math.max(-85, lat - dLat), Math.min(179.9999, lon + dLon), getTileZoom(), TILE_PIXELS);
+  return { minX: nw.tileX, maxX: se.tileX, minY: nw.tileY, maxY: se.tileY };
+}
+
+/**
+ * Download every tile within a radius of a point into the offline cache
+ * @param {number} lat - Center latitude
+ * @param {number} lon - Center longitude
+ * @param {number} radiusMeters - Radius to cover
+ * @param {Function} onProgress - Called with { done, total, failed, bytes } after each tile
+ * @returns {Promise<{done: number, total: number, failed: number, bytes: number}>}
+ */
+export async function downloadTilesForOffline(lat, lon, radiusMeters, onProgress) {
+  const { minX, maxX, minY, maxY } = getTileRangeForRadius(lat, lon, radiusMeters);
+  
+  const queue = [];
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      queue.push({ tileX: x, tileY: y });
+    }
+  }
   
-  console.log(`Loading tile grid at ${tileX},${tileY} (${pixelX},${pixelY})`);
+  const progress = { done: 0, total: queue.length, failed: 0, bytes: 0 };
+  console.log(`Downloading ${progress.total} tile(s) for offline use around ${lat}, ${lon}`);
+  
+  // Each worker pulls from the shared queue until it is empty
+  const worker = async () => {
+    while (queue.length > 0) {
+      const { tileX, tileY } = queue.shift();
+      try {
+        const cacheKey = getTileCacheKey(tileX, tileY);
+        const blob = await fetchTileFromNetwork(tileX, tileY);
+        await storeTileBlob(cacheKey, blob);
+        progress.bytes += blob.size;
+      } catch (err) {
+        console.warn(`Offline download failed for ${tileX},${tileY}:`, err);
+        progress.failed++;
+      }
+      progress.done++;
+      if (onProgress) {
+        onProgress({ ...progress });
+      }
+    }
+  };
+  
+  await Promise.all(Array.from({ length: MAX_CONCURRENT_TILE_LOADS }, worker));
+  
+  console.log(`Offline download finished: ${progress.done - progress.failed}/${progress.total} tiles, ${progress.bytes} bytes`);
+  return progress;
+}
+
+/**
+ * Get the PNG for any tile: from the grid if loaded, else the offline cache, else the network
+ * @returns {Promise<Blob>}
+ */
+export async function getTileBlob(tileX, tileY) {
+  const tile = tileGrid.get(`${tileX},${tileY}`);
+  if (tile?.material.userData.tileBlob) {
+    return tile.material.userData.tileBlob;
+  }
+  
+  const cached = await getCachedTile(getTileCacheKey(tileX, tileY));
+  if (cached) {
+    return cached.blob;
+  }
+  return fetchTileBlob(tileX, tileY);
+}
+
+/**
+ * Find the wplace pixel under a screen position
+ * @param {THREE.Vector2} pointer - Screen position in normalized device coordinates (-1 to 1)
+ * @returns {{tileX: number, tileY: number, pixelX: number, pixelY: number, blob: Blob} | null}
+ */
+export function pickTilePixel(pointer) {
+  if (!tileGroup) return null;
+  
+  raycaster.setFromCamera(pointer, camera);
+  const hit = raycaster
+    .intersectObjects(tileGroup.children, false)
+    .find(({ object, uv }) => uv && object.userData.tileX !== undefined && getShownTileBlob(object.material));
+  if (!hit) return null;
+  
+  // Texture rows are flipped (v = 1 is the top row of the PNG)
+  const { width, height } = hit.object.material.map.image;
+  const pixelX = THREE.MathUtils.clamp(Math.floor(hit.uv.x * width), 0, width - 1);
+  const pixelY = THREE.MathUtils.clamp(Math.floor((1 - hit.uv.y) * height), 0, height - 1);
+  
+  return {
+    tileX: hit.object.userData.tileX,
+    tileY: hit.object.userData.tileY,
+    pixelX,
+    pixelY,
+    blob: getShownTileBlob(hit.object.material)
+  };
 }
 
 /**
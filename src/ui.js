@@ -2,14 +2,70 @@
  * UI element management and event handlers
  */
 import { renderer, scene, camera } from './scene.js';
-import { startVideo } from './video.js';
+import {
+  startVideo,
+  stopVideo,
+  getVideoStatus,
+  getLensFov,
+  setLensFov,
+  previewLensFov,
+  resetLensFov,
+  listCameras,
+  getCameraDeviceId,
+  setCameraDeviceId,
+  getVideoResolution,
+  setVideoResolution,
+  setVideoStatusCallback
+} from './video.js';
 import { 
   initDeviceOrientationControls, 
   initMouseControls, 
-  setHasDeviceOrientation 
+  setHasDeviceOrientation,
+  initTouchControls,
+  setTouchLook,
+  isTouchLook,
+  hasOrientationControls,
+  togglePointerLock,
+  resetCameraZoom,
+  getCameraBearing,
+  getOrientationFilter,
+  setOrientationFilter,
+  getOrientationFilterParams,
+  setOrientationFilterParam
 } from './controls.js';
+import { ORIENTATION_FILTERS } from './orientationFilters.js';
+import { setSkyVisible } from './sky.js';
+import {
+  startClipRecording,
+  stopClipRecording,
+  isClipRecording,
+  getClipFormat,
+  setClipChangeCallback,
+  setClipReadyCallback
+} from './clipRecorder.js';
+import { startCompass, setCompassUnavailableCallback } from './compass.js';
+import { initPixelInspector, getLastInspectedPixel } from './inspector.js';
+import {
+  loadTemplate,
+  removeTemplate,
+  hasTemplate,
+  checkTemplateProgress,
+  getTemplateOpacity,
+  setTemplateOpacity,
+  setTemplateStatsCallback
+} from './template.js';
+import {
+  loadHistoryTimeline,
+  showHistoryFrame,
+  startHistoryPlayback,
+  stopHistoryPlayback,
+  isHistoryPlaying,
+  exitHistory,
+  setHistoryChangeCallback
+} from './history.js';
+import { clearTileSnapshots } from './tileCache.js';
 import { ensureMotionPermission } from './utils.js';
-import { isMobileDevice } from './utils.js';
+import { isMobileDevice, formatBytes, formatDuration, isEditableTarget, calculateBearing, calculateDistance } from './utils.js';
 import {
   getGpsOverride,
   setGpsOverride,
@@ -18,29 +74,113 @@ import {
   setSelectedLocation,
   getIsLiveTrackingEnabled,
   setIsLiveTrackingEnabled,
-  getGpsUpdateInterval,
-  setGpsUpdateInterval,
+  getGpsPowerMode,
+  setGpsPowerMode,
+  setGpsAccuracyCallback,
   getModalOriginalSettings,
   setModalOriginalSettings,
   startGPSTracking,
   stopGPSTracking,
+  setSimulatedGeolocation,
   refreshLocationAndTiles,
   getLatLonOnce
 } from './geolocation.js';
-import { initializeMap, toggleManualInput, applyManualCoordinates, setUIElements as setMapUIElements, updateMapLocation } from './map.js';
-import { loadTileGridTextures, setSkyHeight, updateTileOpacity, setGetOpacityCallback } from './tiles.js';
-import { FALLBACK } from './config.js';
+import { jumpToPosition, getShownPosition } from './movement.js';
+import { calibrateHeading, resetHeadingCalibration, getHeadingCalibration } from './calibration.js';
+import { parseRoute } from './routeParser.js';
+import {
+  loadRoute,
+  unloadRoute,
+  hasRoute,
+  playRoute,
+  pauseRoute,
+  setRouteSpeed,
+  setRouteChangeCallback,
+  getRouteProgress,
+  routeGeolocation
+} from './routePlayer.js';
+import {
+  startSessionRecording,
+  stopSessionRecording,
+  isSessionRecording,
+  parseSession,
+  startSessionReplay,
+  stopSessionReplay,
+  isSessionReplaying,
+  setSessionChangeCallback,
+  sessionGeolocation
+} from './session.js';
+import {
+  initializeMap,
+  toggleManualInput,
+  applyManualCoordinates,
+  setUIElements as setMapUIElements,
+  updateMapLocation,
+  pickLandmarkOnMap,
+  cancelLandmarkPick,
+  isPickingLandmark
+} from './map.js';
+import {
+  setSkyHeight,
+  updateTileOpacity,
+  setGetOpacityCallback,
+  getGridRadius,
+  getTileGroupHeading,
+  setGridRadius,
+  downloadTilesForOffline,
+  setLiveRefreshInterval,
+  getPixelPerfect,
+  setPixelPerfect,
+  getPixelGrid,
+  setPixelGrid,
+  getKeepHistory,
+  setKeepHistory,
+  getGeoScale,
+  setGeoScale,
+  reloadTileGrid
+} from './tiles.js';
+import {
+  getAvailableTileSources,
+  getTileSource,
+  setTileSource,
+  getSeason,
+  setSeason
+} from './tileSources.js';
+import { FALLBACK, LIVE_REFRESH_INTERVAL, SEASONS, GPS_POWER_MODES, GPS_MAX_ACCURACY, VIDEO_RESOLUTIONS } from './config.js';
 
 // UI element references
 let startScreen, arInterface, startBtn;
-let photoBtn, gpsBtn, toggleUiBtn;
+let photoBtn, recordBtn, gpsBtn, toggleUiBtn, lookModeBtn;
 let gpsModal, gpsModalClose, gpsLatInput, gpsLonInput;
 let gpsUseCurrent, gpsApply, currentCoordsDisplay;
 let toggleManual, manualInputs, applyManual, selectedCoordsDisplay;
 let heightSlider, heightValue, heightControl;
 let opacitySlider, opacityValue, opacityControl;
 let interactionPrompt, promptText;
-let liveTrackingToggle, updateFrequencySelect;
+let liveTrackingToggle, gpsPowerSelect, gpsAccuracyBadge, gpsAccuracyText;
+let gridSizeSelect, liveRefreshSelect, tileSourceSelect;
+let seasonInput, seasonList;
+let pixelPerfectToggle, pixelGridToggle, geoScaleToggle;
+let offlineRadiusSelect, offlineDownloadBtn, offlineProgress;
+let templateFileInput, templateTileXInput, templateTileYInput, templatePixelXInput, templatePixelYInput;
+let templateUseTappedBtn, templateOpacitySlider, templateLoadBtn, templateCheckBtn, templateRemoveBtn;
+let templateStatsText, templateProgressBadge;
+let historyBtn, historyBar, historyPlayBtn, historySlider, historyLabel, historyCloseBtn;
+let historyToggle, historyClearBtn;
+let routeFileInput, routeStartBtn, routeBar, routePlayBtn, routeProgressText, routeSpeedSelect, routeStopBtn;
+let sessionRecordBtn, sessionFileInput, sessionReplayBtn, sessionBadge;
+let orientationFilterSelect, orientationFilterParamsContainer;
+let calibrationPickBtn, calibrationLandmarkText, calibrationBearingInput, calibrationAimBtn, calibrationResetBtn;
+let calibrationOffsetText, calibrationOverlay, calibrationHint, calibrationSetBtn, calibrationCancelBtn;
+let calibrationTarget = null; // Bearing (degrees) being aimed at
+let calibrationLandmarkPreviousText = ''; // Shown again if a landmark pick is cancelled
+const CALIBRATION_PICK_LABEL = '📍 Pick Landmark on Map';
+let cameraSelect, cameraResolutionSelect, backgroundModeSelect;
+let lastVideoStatus = 'off';
+let backgroundMode = null; // 'camera' or 'sky', chosen at start
+let cameraFovText, cameraFovCalibrateBtn, cameraFovResetBtn, fovOverlay, fovSlider, fovValue, fovDoneBtn;
+let fovAdjusted = false; // Whether the slider moved since the FOV overlay opened
+let replayDrivesGps = false; // Whether a session replay is standing in for the GPS
 
 // Application state
 let started = false;
@@ -56,6 +196,8 @@ export function initializeUI() {
   photoBtn = document.getElementById('photo-btn');
   gpsBtn = document.getElementById('gps-btn');
   toggleUiBtn = document.getElementById('toggle-ui-btn');
+  lookModeBtn = document.getElementById('look-mode-btn');
+  recordBtn = document.getElementById('record-btn');
   
   // GPS Modal elements
   gpsModal = document.getElementById('gps-modal');
@@ -86,13 +228,97 @@ export function initializeUI() {
   
   // GPS tracking settings elements
   liveTrackingToggle = document.getElementById('live-tracking-toggle');
-  updateFrequencySelect = document.getElementById('update-frequency');
+  gpsPowerSelect = document.getElementById('gps-power');
+  gpsAccuracyBadge = document.getElementById('gps-accuracy');
+  gpsAccuracyText = document.getElementById('gps-accuracy-text');
+  
+  // View settings elements
+  gridSizeSelect = document.getElementById('grid-size');
+  liveRefreshSelect = document.getElementById('live-refresh');
+  tileSourceSelect = document.getElementById('tile-source');
+  seasonInput = document.getElementById('season-input');
+  seasonList = document.getElementById('season-list');
+  pixelPerfectToggle = document.getElementById('pixel-perfect-toggle');
+  pixelGridToggle = document.getElementById('pixel-grid-toggle');
+  geoScaleToggle = document.getElementById('geo-scale-toggle');
+  
+  // Offline download elements
+  offlineRadiusSelect = document.getElementById('offline-radius');
+  offlineDownloadBtn = document.getElementById('offline-download');
+  offlineProgress = document.getElementById('offline-progress');
+  
+  // Template elements
+  templateFileInput = document.getElementById('template-file');
+  templateTileXInput = document.getElementById('template-tile-x');
+  templateTileYInput = document.getElementById('template-tile-y');
+  templatePixelXInput = document.getElementById('template-pixel-x');
+  templatePixelYInput = document.getElementById('template-pixel-y');
+  templateUseTappedBtn = document.getElementById('template-use-tapped');
+  templateOpacitySlider = document.getElementById('template-opacity');
+  templateLoadBtn = document.getElementById('template-load');
+  templateCheckBtn = document.getElementById('template-check');
+  templateRemoveBtn = document.getElementById('template-remove');
+  templateStatsText = document.getElementById('template-stats');
+  templateProgressBadge = document.getElementById('template-progress');
+  
+  // History elements
+  historyBtn = document.getElementById('history-btn');
+  historyBar = document.getElementById('history-bar');
+  historyPlayBtn = document.getElementById('history-play');
+  historySlider = document.getElementById('history-slider');
+  historyLabel = document.getElementById('history-label');
+  historyCloseBtn = document.getElementById('history-close');
+  historyToggle = document.getElementById('history-toggle');
+  historyClearBtn = document.getElementById('history-clear');
+  
+  // Route playback elements
+  routeFileInput = document.getElementById('route-file');
+  routeStartBtn = document.getElementById('route-start');
+  routeBar = document.getElementById('route-bar');
+  routePlayBtn = document.getElementById('route-play');
+  routeProgressText = document.getElementById('route-progress');
+  routeSpeedSelect = document.getElementById('route-speed');
+  routeStopBtn = document.getElementById('route-stop');
+  
+  // Session recording elements
+  sessionRecordBtn = document.getElementById('session-record');
+  sessionFileInput = document.getElementById('session-file');
+  sessionReplayBtn = document.getElementById('session-replay');
+  sessionBadge = document.getElementById('session-status');
+  
+  // Motion smoothing elements
+  orientationFilterSelect = document.getElementById('orientation-filter');
+  orientationFilterParamsContainer = document.getElementById('orientation-filter-params');
+  
+  // Heading calibration elements
+  calibrationPickBtn = document.getElementById('calibration-pick');
+  calibrationLandmarkText = document.getElementById('calibration-landmark');
+  calibrationBearingInput = document.getElementById('calibration-bearing');
+  calibrationAimBtn = document.getElementById('calibration-aim');
+  calibrationResetBtn = document.getElementById('calibration-reset');
+  calibrationOffsetText = document.getElementById('calibration-offset');
+  calibrationOverlay = document.getElementById('calibration-overlay');
+  calibrationHint = document.getElementById('calibration-hint');
+  calibrationSetBtn = document.getElementById('calibration-set');
+  calibrationCancelBtn = document.getElementById('calibration-cancel');
+  
+  // Camera elements
+  cameraSelect = document.getElementById('camera-select');
+  cameraResolutionSelect = document.getElementById('camera-resolution');
+  backgroundModeSelect = document.getElementById('background-mode');
+  cameraFovText = document.getElementById('camera-fov-text');
+  cameraFovCalibrateBtn = document.getElementById('camera-fov-calibrate');
+  cameraFovResetBtn = document.getElementById('camera-fov-reset');
+  fovOverlay = document.getElementById('fov-overlay');
+  fovSlider = document.getElementById('fov-slider');
+  fovValue = document.getElementById('fov-value');
+  fovDoneBtn = document.getElementById('fov-done');
   
   // Set up map UI elements
   setMapUIElements({
     selectedCoordsDisplay,
     liveTrackingToggle,
-    updateFrequencySelect,
+    gpsPowerSelect,
     gpsLatInput,
     gpsLonInput,
     manualInputs,
@@ -104,11 +330,32 @@ export function initializeUI() {
     return opacitySlider ? parseInt(opacitySlider.value) / 100 : 0.5;
   });
   
+  // Tap a pixel in the sky to identify it
+  initPixelInspector();
+  
+  // Let the user know when the grid can't be aligned to true north
+  setCompassUnavailableCallback(() => {
+    showPrompt('🧭 No compass found - north follows where you first pointed');
+  });
+  
   // Add event listeners
   if (startBtn) startBtn.addEventListener('click', startAR);
   if (photoBtn) photoBtn.addEventListener('click', capturePhoto);
   if (gpsBtn) gpsBtn.addEventListener('click', openGPSModal);
   if (toggleUiBtn) toggleUiBtn.addEventListener('click', toggleUIVisibility);
+  if (lookModeBtn) lookModeBtn.addEventListener('click', toggleLookMode);
+  
+  // Video clips of the AR view
+  if (recordBtn) {
+    if (getClipFormat()) {
+      recordBtn.addEventListener('click', toggleClipRecording);
+    } else {
+      recordBtn.classList.add('hidden');
+    }
+  }
+  setClipChangeCallback(updateClipDisplay);
+  setClipReadyCallback(saveClip);
+  document.addEventListener('keydown', onShortcutKey);
   if (gpsModalClose) gpsModalClose.addEventListener('click', closeGPSModal);
   if (gpsUseCurrent) gpsUseCurrent.addEventListener('click', useCurrentGPS);
   if (gpsApply) gpsApply.addEventListener('click', applySelectedLocation);
@@ -116,6 +363,134 @@ export function initializeUI() {
   if (applyManual) applyManual.addEventListener('click', applyManualCoordinates);
   if (heightSlider) heightSlider.addEventListener('input', updatePlaneHeight);
   if (opacitySlider) opacitySlider.addEventListener('input', updatePlaneOpacity);
+  if (offlineDownloadBtn) offlineDownloadBtn.addEventListener('click', downloadAreaForOffline);
+  if (templateUseTappedBtn) templateUseTappedBtn.addEventListener('click', useTappedPixelAsAnchor);
+  if (templateLoadBtn) templateLoadBtn.addEventListener('click', showTemplate);
+  if (templateCheckBtn) templateCheckBtn.addEventListener('click', () => checkTemplateProgress());
+  if (templateRemoveBtn) templateRemoveBtn.addEventListener('click', removeTemplate);
+  if (templateOpacitySlider) {
+    templateOpacitySlider.value = Math.round(getTemplateOpacity() * 100);
+    templateOpacitySlider.addEventListener('input', (e) => setTemplateOpacity(parseInt(e.target.value) / 100));
+  }
+  
+  // Show template progress in the modal and on the AR view
+  setTemplateStatsCallback(updateTemplateStatsDisplay);
+  
+  // Show GPS accuracy while tracking
+  setGpsAccuracyCallback(updateGpsAccuracyDisplay);
+  
+  // Time-lapse history timeline
+  setHistoryChangeCallback(updateHistoryDisplay);
+  if (historyBtn) historyBtn.addEventListener('click', toggleHistoryBar);
+  if (historyCloseBtn) historyCloseBtn.addEventListener('click', closeHistoryBar);
+  if (historyPlayBtn) {
+    historyPlayBtn.addEventListener('click', () => {
+      if (isHistoryPlaying()) {
+        stopHistoryPlayback();
+      } else {
+        startHistoryPlayback();
+      }
+    });
+  }
+  if (historySlider) {
+    historySlider.addEventListener('input', (e) => {
+      // Dragging takes over from playback
+      stopHistoryPlayback();
+      showHistoryFrame(parseInt(e.target.value));
+    });
+  }
+  if (historyToggle) {
+    historyToggle.checked = getKeepHistory();
+    historyToggle.addEventListener('change', (e) => setKeepHistory(e.target.checked));
+  }
+  if (historyClearBtn) historyClearBtn.addEventListener('click', clearHistory);
+  
+  // Route playback (simulated GPS feed)
+  setRouteChangeCallback(updateRouteDisplay);
+  if (routeStartBtn) routeStartBtn.addEventListener('click', startRoutePlayback);
+  if (routeStopBtn) routeStopBtn.addEventListener('click', stopRoutePlayback);
+  if (routePlayBtn) {
+    routePlayBtn.addEventListener('click', () => {
+      if (routePlayBtn.dataset.playing === 'true') {
+        pauseRoute();
+        return;
+      }
+      const { elapsed, duration } = getRouteProgress();
+      playRoute();
+      // Starting over jumps back to the start - restart tracking there like a newly loaded route
+      if (elapsed >= duration) {
+        useSimulatedGps(routeGeolocation, '🌍 Route');
+      }
+    });
+  }
+  if (routeSpeedSelect) {
+    routeSpeedSelect.addEventListener('change', (e) => setRouteSpeed(parseFloat(e.target.value)));
+  }
+  
+  // Session recording and replay (for reproducing tester reports)
+  setSessionChangeCallback(updateSessionDisplay);
+  if (sessionRecordBtn) sessionRecordBtn.addEventListener('click', toggleSessionRecording);
+  if (sessionReplayBtn) sessionReplayBtn.addEventListener('click', toggleSessionReplay);
+  
+  // Heading calibration against a landmark or bearing
+  if (calibrationPickBtn) calibrationPickBtn.addEventListener('click', pickCalibrationLandmark);
+  if (calibrationAimBtn) calibrationAimBtn.addEventListener('click', startCalibrationAim);
+  if (calibrationSetBtn) calibrationSetBtn.addEventListener('click', setCalibrationFromAim);
+  if (calibrationCancelBtn) calibrationCancelBtn.addEventListener('click', () => calibrationOverlay.classList.add('hidden'));
+  if (calibrationResetBtn) {
+    calibrationResetBtn.addEventListener('click', () => {
+      resetHeadingCalibration();
+      updateCalibrationDisplay();
+    });
+  }
+  updateCalibrationDisplay();
+  
+  // Camera choice and lifecycle
+  setVideoStatusCallback(onVideoStatusChange);
+  if (backgroundModeSelect) {
+    backgroundModeSelect.addEventListener('change', (e) => applyBackgroundMode(e.target.value));
+  }
+  if (cameraSelect) {
+    cameraSelect.addEventListener('change', (e) => {
+      setCameraDeviceId(e.target.value || null);
+      updateCameraFovDisplay(); // Each lens keeps its own FOV
+    });
+    navigator.mediaDevices?.addEventListener?.('devicechange', refreshCameraList);
+  }
+  if (cameraResolutionSelect) {
+    Object.entries(VIDEO_RESOLUTIONS).forEach(([id, { name }]) => {
+      cameraResolutionSelect.add(new Option(name, id));
+    });
+    cameraResolutionSelect.value = getVideoResolution();
+    cameraResolutionSelect.addEventListener('change', (e) => setVideoResolution(e.target.value));
+  }
+  
+  // Camera FOV: adjusted live on screen until the art stops sliding against the feed
+  if (cameraFovCalibrateBtn) cameraFovCalibrateBtn.addEventListener('click', startFovCalibration);
+  if (cameraFovResetBtn) {
+    cameraFovResetBtn.addEventListener('click', () => {
+      resetLensFov();
+      updateCameraFovDisplay();
+    });
+  }
+  if (fovSlider) {
+    fovSlider.addEventListener('input', (e) => {
+      const fov = parseFloat(e.target.value);
+      previewLensFov(fov); // Saved once, on Done
+      fovAdjusted = true;
+      if (fovValue) fovValue.textContent = `${fov}°`;
+    });
+  }
+  if (fovDoneBtn) {
+    fovDoneBtn.addEventListener('click', () => {
+      if (fovAdjusted) {
+        setLensFov(parseFloat(fovSlider.value));
+      }
+      fovOverlay.classList.add('hidden');
+      updateCameraFovDisplay();
+    });
+  }
+  updateCameraFovDisplay();
   
   // GPS tracking settings event listeners
   if (liveTrackingToggle) {
@@ -140,25 +515,108 @@ export function initializeUI() {
     });
   }
   
-  if (updateFrequencySelect) {
-    updateFrequencySelect.addEventListener('change', (e) => {
-      const interval = parseInt(e.target.value);
-      setGpsUpdateInterval(interval);
+  if (gpsPowerSelect) {
+    Object.entries(GPS_POWER_MODES).forEach(([id, { name }]) => {
+      gpsPowerSelect.add(new Option(name, id));
+    });
+    gpsPowerSelect.value = getGpsPowerMode();
+    gpsPowerSelect.addEventListener('change', (e) => {
+      const mode = e.target.value;
+      setGpsPowerMode(mode);
       
-      // Save this change immediately (user manually changed frequency)
+      // Save this change immediately (user manually changed power mode)
       const settings = getModalOriginalSettings();
-      settings.gpsUpdateInterval = interval;
+      settings.gpsPowerMode = mode;
       setModalOriginalSettings(settings);
       
-      console.log('Update frequency changed to:', interval, 'seconds');
+      console.log('GPS power mode changed to:', mode);
       
-      // Restart tracking with new interval (only if not overridden)
+      // Restart tracking with new mode (only if not overridden)
       if (started && getIsLiveTrackingEnabled() && !getGpsOverride()) {
         startGPSTracking();
       }
     });
   }
   
+  if (gridSizeSelect) {
+    gridSizeSelect.value = getGridRadius();
+    gridSizeSelect.addEventListener('change', (e) => {
+      // Applies immediately - tiles around the current center are added or dropped
+      setGridRadius(parseInt(e.target.value));
+    });
+  }
+  
+  if (tileSourceSelect) {
+    // Only list sources configured in this build
+    getAvailableTileSources().forEach(({ id, name }) => {
+      tileSourceSelect.add(new Option(name, id));
+    });
+    tileSourceSelect.value = getTileSource().id;
+    tileSourceSelect.addEventListener('change', (e) => {
+      if (setTileSource(e.target.value)) {
+        reloadTileGrid();
+      }
+    });
+  }
+  
+  if (seasonInput) {
+    // Suggest configured seasons, but allow any id the backend knows about
+    if (seasonList) {
+      SEASONS.forEach(({ id, name }) => {
+        seasonList.appendChild(new Option(name, id));
+      });
+    }
+    seasonInput.value = getSeason();
+    seasonInput.addEventListener('change', (e) => {
+      if (setSeason(e.target.value)) {
+        reloadTileGrid();
+      }
+      // Show the season actually in use (invalid ids are rejected)
+      seasonInput.value = getSeason();
+    });
+  }
+  
+  if (orientationFilterSelect) {
+    Object.entries(ORIENTATION_FILTERS).forEach(([id, { name }]) => {
+      orientationFilterSelect.add(new Option(name, id));
+    });
+    orientationFilterSelect.value = getOrientationFilter();
+    orientationFilterSelect.addEventListener('change', (e) => {
+      setOrientationFilter(e.target.value);
+      renderOrientationFilterParams();
+    });
+  }
+  renderOrientationFilterParams();
+  
+  if (geoScaleToggle) {
+    geoScaleToggle.checked = getGeoScale();
+    geoScaleToggle.addEventListener('change', (e) => {
+      setGeoScale(e.target.checked);
+      updateHeightLabel();
+    });
+  }
+  updateHeightLabel();
+  
+  if (pixelPerfectToggle) {
+    pixelPerfectToggle.checked = getPixelPerfect();
+    pixelPerfectToggle.addEventListener('change', (e) => setPixelPerfect(e.target.checked));
+  }
+  
+  if (pixelGridToggle) {
+    pixelGridToggle.checked = getPixelGrid();
+    pixelGridToggle.addEventListener('change', (e) => setPixelGrid(e.target.checked));
+  }
+  
+  if (liveRefreshSelect) {
+    liveRefreshSelect.value = LIVE_REFRESH_INTERVAL;
+    liveRefreshSelect.addEventListener('change', (e) => {
+      // Only run the timer once the AR view is up
+      if (started) {
+        setLiveRefreshInterval(parseInt(e.target.value));
+      }
+    });
+  }
+  
   // Close modal when clicking outside
   if (gpsModal) {
     gpsModal.addEventListener('click', (e) => {
@@ -188,12 +646,11 @@ export async function startAR() {
       // Mobile mode: use device orientation controls
       console.log('Using mobile device orientation controls');
       initDeviceOrientationControls();
+      startCompass();
     } else if (isActuallyMobile && !motionPermissionGranted) {
-      // Mobile device but no motion permission - show error
-      console.log('Mobile device detected but no motion permission');
-      startBtn.textContent = 'Enable Motion/Orientation & Tap Again';
-      // Don't return - let the function continue to avoid double-click issue
-      // Just skip the video/plane setup for now
+      // Mobile device but no motion permission (e.g. in-app webviews) - drag to look instead
+      console.log('Mobile device detected but no motion permission - using touch look controls');
+      initTouchControls();
     } else {
       // Desktop mode: set up mouse look controls and point camera up
       console.log('Using desktop mouse look controls');
@@ -206,38 +663,138 @@ export async function startAR() {
       console.log('Desktop mode: camera pointing up with mouse look controls');
     }
 
-    // Only proceed with full setup if we have proper controls (not the error case)
-    if (motionPermissionGranted || !isActuallyMobile) {
-      await startVideo();
-      
-      // Get location and calculate pixel offsets before creating the plane
-      const { lat, lon } = await getLatLonOnce();
-      
-      // Load the tile grid with textures
-      loadTileGridTextures(lat, lon);
+    // Camera feed on phones, the synthetic sky on desktop
+    await applyBackgroundMode(isActuallyMobile ? 'camera' : 'sky');
+    
+    // Get location and calculate pixel offsets before creating the plane
+    const { lat, lon } = await getLatLonOnce();
+    
+    // Load the tile grid with textures
+    jumpToPosition(lat, lon);
+    
+    // Start live refresh if configured
+    if (liveRefreshSelect) {
+      setLiveRefreshInterval(parseInt(liveRefreshSelect.value));
+    }
 
-      // Switch from start screen to AR interface
-      startScreen.classList.add('hidden');
-      arInterface.classList.remove('hidden');
-      console.log('Switched to AR interface');
-      
-      // Show interaction prompt
-      showInteractionPrompt(isActuallyMobile);
-      
-      // Start GPS tracking if enabled and not overridden
-      if (getIsLiveTrackingEnabled() && !getGpsOverride()) {
-        startGPSTracking();
-      }
-    } else {
-      // Mobile device without motion permission - just hide start screen and show button change
-      console.log('Mobile device without motion permission - staying on start screen');
-      // Don't hide the start screen in this case, just update the button text
+    // Switch from start screen to AR interface
+    startScreen.classList.add('hidden');
+    arInterface.classList.remove('hidden');
+    console.log('Switched to AR interface');
+    
+    // Show interaction prompt
+    showInteractionPrompt(isActuallyMobile);
+    updateLookModeButton(isActuallyMobile);
+    
+    // Start GPS tracking if enabled and not overridden
+    if (getIsLiveTrackingEnabled() && !getGpsOverride()) {
+      startGPSTracking();
     }
     
     started = true;
   }
 }
 
+/**
+ * Switch between touch-drag look and the motion sensors
+ */
+async function toggleLookMode() {
+  if (!isTouchLook()) {
+    setTouchLook(true);
+    updateLookModeButton(true);
+    showInteractionPrompt(true);
+    return;
+  }
+  
+  // Sensors denied at start can be asked for again (this is a user gesture)
+  if (!hasOrientationControls()) {
+    const granted = await ensureMotionPermission();
+    if (!granted) {
+      showPrompt('📱 Motion sensors aren\'t available here - keep dragging to look around');
+      return;
+    }
+    setHasDeviceOrientation(true);
+    initDeviceOrientationControls();
+    startCompass();
+  }
+  
+  setTouchLook(false);
+  updateLookModeButton(true);
+  showInteractionPrompt(true);
+}
+
+/**
+ * Keyboard shortcuts for the AR view (look keys are handled by the controls module)
+ */
+function onShortcutKey(event) {
+  if (!started || event.ctrlKey || event.metaKey || event.altKey || isEditableTarget(event.target)) return;
+  if (gpsModal && !gpsModal.classList.contains('hidden')) return;
+  
+  switch (event.key) {
+    case '[':
+      stepSlider(opacitySlider, -1);
+      break;
+    case ']':
+      stepSlider(opacitySlider, 1);
+      break;
+    case '-':
+      stepSlider(heightSlider, -1);
+      break;
+    case '=':
+    case '+':
+      stepSlider(heightSlider, 1);
+      break;
+    case 'p':
+    case 'P':
+      capturePhoto();
+      break;
+    case 'r':
+    case 'R':
+      toggleClipRecording();
+      break;
+    case 'h':
+    case 'H':
+      toggleUIVisibility();
+      break;
+    case 'l':
+    case 'L':
+      togglePointerLock();
+      break;
+    case '0':
+      resetCameraZoom();
+      break;
+    case '?':
+      showPrompt('⌨️ WASD/arrows look · wheel zoom · 0 reset zoom · [ ] opacity · - + height · P photo · R record clip · H hide UI · L mouselook', 8000);
+      break;
+    default:
+      return;
+  }
+  event.preventDefault();
+}
+
+/**
+ * Nudge a slider by one step and let its input handler apply it
+ */
+function stepSlider(slider, direction) {
+  if (!slider) return;
+  if (direction > 0) {
+    slider.stepUp();
+  } else {
+    slider.stepDown();
+  }
+  slider.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Show the look mode switch (mobile only) with the mode it switches to
+ */
+function updateLookModeButton(isMobile) {
+  if (!lookModeBtn) return;
+  lookModeBtn.classList.toggle('hidden', !isMobile);
+  lookModeBtn.textContent = isTouchLook() ? '📱' : '👆';
+  lookModeBtn.title = isTouchLook() ? 'Look around with motion sensors' : 'Drag to look around';
+}
+
 /**
  * Get started state
  */
@@ -251,10 +808,13 @@ export function getStarted() {
 function openGPSModal() {
   if (!gpsModal) return;
   
+  // A landmark pick left waiting when the modal was last hidden is stale now
+  cancelCalibrationPick();
+  
   // Save current settings in case user cancels
   setModalOriginalSettings({
     isLiveTrackingEnabled: getIsLiveTrackingEnabled(),
-    gpsUpdateInterval: getGpsUpdateInterval(),
+    gpsPowerMode: getGpsPowerMode(),
     selectedLocation: getSelectedLocation() ? { ...getSelectedLocation() } : null
   });
   
@@ -262,11 +822,12 @@ function openGPSModal() {
   if (liveTrackingToggle) {
     liveTrackingToggle.disabled = getGpsOverride() !== null;
   }
-  if (updateFrequencySelect) {
-    updateFrequencySelect.disabled = getGpsOverride() !== null;
+  if (gpsPowerSelect) {
+    gpsPowerSelect.disabled = getGpsOverride() !== null;
   }
   
   gpsModal.classList.remove('hidden');
+  refreshCameraList(); // Labels only show up once the camera is allowed
   
   // Initialize map after modal is shown
   setTimeout(() => {
@@ -277,13 +838,15 @@ function openGPSModal() {
 function closeGPSModal() {
   if (!gpsModal) return;
   
+  cancelCalibrationPick();
+  
   const originalSettings = getModalOriginalSettings();
   console.log('Closing modal - original settings:', originalSettings);
   console.log('Current selectedLocation before restore:', getSelectedLocation());
   
   // Restore original settings (user cancelled without applying)
   setIsLiveTrackingEnabled(originalSettings.isLiveTrackingEnabled);
-  setGpsUpdateInterval(originalSettings.gpsUpdateInterval);
+  setGpsPowerMode(originalSettings.gpsPowerMode);
   setSelectedLocation(originalSettings.selectedLocation ? { ...originalSettings.selectedLocation } : null);
   
   console.log('Restored selectedLocation:', getSelectedLocation());
@@ -293,9 +856,9 @@ function closeGPSModal() {
     liveTrackingToggle.checked = getIsLiveTrackingEnabled();
     liveTrackingToggle.disabled = getGpsOverride() !== null; // Restore disabled state based on override
   }
-  if (updateFrequencySelect) {
-    updateFrequencySelect.value = getGpsUpdateInterval();
-    updateFrequencySelect.disabled = getGpsOverride() !== null; // Restore disabled state based on override
+  if (gpsPowerSelect) {
+    gpsPowerSelect.value = getGpsPowerMode();
+    gpsPowerSelect.disabled = getGpsOverride() !== null; // Restore disabled state based on override
   }
   
   // Restore map marker position and center map
@@ -344,7 +907,9 @@ function updateCurrentLocationDisplay() {
 }
 
 function useCurrentGPS() {
-  // Clear override and refresh with real GPS
+  // Clear override (and any route or replay) and refresh with real GPS
+  endRoutePlayback();
+  endSessionReplay();
   setGpsOverride(null);
   setSelectedLocation(null);
   console.log('GPS override cleared - using real GPS location');
@@ -360,14 +925,14 @@ function useCurrentGPS() {
     liveTrackingToggle.checked = true;
     liveTrackingToggle.disabled = false; // Enable toggle when override is cleared
   }
-  if (updateFrequencySelect) {
-    updateFrequencySelect.disabled = false; // Enable frequency dropdown when override is cleared
+  if (gpsPowerSelect) {
+    gpsPowerSelect.disabled = false; // Enable power setting when override is cleared
   }
   
   // Save these as the new original settings (user applied changes)
   setModalOriginalSettings({
     isLiveTrackingEnabled: true,
-    gpsUpdateInterval: getGpsUpdateInterval(),
+    gpsPowerMode: getGpsPowerMode(),
     selectedLocation: null
   });
   
@@ -387,6 +952,10 @@ function applySelectedLocation() {
     return;
   }
   
+  // A picked location replaces a playing route or replay
+  endRoutePlayback();
+  endSessionReplay();
+  
   // Set override to selected location
   setGpsOverride({ 
     lat: selectedLocation.lat, 
@@ -408,14 +977,14 @@ function applySelectedLocation() {
     liveTrackingToggle.checked = false;
     liveTrackingToggle.disabled = true; // Disable toggle when override is active
   }
-  if (updateFrequencySelect) {
-    updateFrequencySelect.disabled = true; // Disable frequency dropdown when override is active
+  if (gpsPowerSelect) {
+    gpsPowerSelect.disabled = true; // Disable power setting when override is active
   }
   
   // Save these as the new original settings (user applied changes)
   setModalOriginalSettings({
     isLiveTrackingEnabled: false,
-    gpsUpdateInterval: getGpsUpdateInterval(),
+    gpsPowerMode: getGpsPowerMode(),
     selectedLocation: selectedLocation ? { ...selectedLocation } : null
   });
   
@@ -426,6 +995,658 @@ function applySelectedLocation() {
   refreshLocationAndTiles();
 }
 
+/**
+ * Load the chosen route file and play it back as the GPS
+ */
+async function startRoutePlayback() {
+  const file = routeFileInput?.files?.[0];
+  if (!file) {
+    alert('Please choose a GPX or GeoJSON route first.');
+    return;
+  }
+  
+  let points;
+  try {
+    points = parseRoute(await file.text(), file.name);
+  } catch (err) {
+    console.error('Failed to read route:', err);
+    alert(`Could not read that route: ${err.message}`);
+    return;
+  }
+  
+  endSessionReplay();
+  loadRoute(points, file.name);
+  useSimulatedGps(routeGeolocation, '🌍 Route'); // Jumps to the start of the route
+  if (routeSpeedSelect) {
+    setRouteSpeed(parseFloat(routeSpeedSelect.value));
+  }
+  playRoute();
+}
+
+/**
+ * Stop the route and go back to the device GPS
+ */
+function stopRoutePlayback() {
+  if (!hasRoute()) return;
+  unloadRoute();
+  useDeviceGps();
+}
+
+/**
+ * Unload any route and switch the geolocation module back to the device GPS
+ */
+function endRoutePlayback() {
+  if (!hasRoute()) return;
+  unloadRoute();
+  setSimulatedGeolocation(null);
+}
+
+/**
+ * Follow a simulated GPS source (route or session replay) with live tracking
+ * The source stands in for the GPS, so any picked location is cleared.
+ */
+function useSimulatedGps(source, label) {
+  setGpsOverride(null);
+  setSelectedLocation(null);
+  setSimulatedGeolocation(source);
+  
+  setIsLiveTrackingEnabled(true);
+  if (liveTrackingToggle) {
+    liveTrackingToggle.checked = true;
+    liveTrackingToggle.disabled = false;
+  }
+  if (gpsPowerSelect) {
+    gpsPowerSelect.disabled = false;
+  }
+  setModalOriginalSettings({
+    isLiveTrackingEnabled: true,
+    gpsPowerMode: getGpsPowerMode(),
+    selectedLocation: null
+  });
+  
+  if (gpsBtn) {
+    gpsBtn.textContent = label;
+  }
+  
+  gpsModal.classList.add('hidden');
+  refreshLocationAndTiles();
+  if (started) {
+    startGPSTracking();
+  }
+}
+
+/**
+ * Switch from a simulated GPS source back to the device GPS
+ */
+function useDeviceGps() {
+  setSimulatedGeolocation(null);
+  
+  if (gpsBtn) {
+    gpsBtn.textContent = '🌍 GPS Location';
+  }
+  if (started && getIsLiveTrackingEnabled()) {
+    startGPSTracking();
+  }
+  refreshLocationAndTiles();
+}
+
+/**
+ * Sync the route controls with playback (null hides them)
+ */
+function updateRouteDisplay(progress) {
+  if (!routeBar) return;
+  if (!progress) {
+    routeBar.classList.add('hidden');
+    return;
+  }
+  
+  const { elapsed, duration, distanceDone, distance, playing } = progress;
+  
+  routeBar.classList.remove('hidden');
+  if (routeProgressText) {
+    routeProgressText.textContent = `${(distanceDone / 1000).toFixed(2)}/${(distance / 1000).toFixed(2)} km · ${formatDuration(elapsed)}/${formatDuration(duration)}`;
+  }
+  if (routePlayBtn) {
+    routePlayBtn.textContent = playing ? '⏸' : '▶';
+    routePlayBtn.title = playing ? 'Pause' : 'Play';
+    routePlayBtn.dataset.playing = String(playing);
+  }
+}
+
+/**
+ * Start recording a session, or stop and download it
+ */
+function toggleSessionRecording() {
+  if (!isSessionRecording()) {
+    if (isSessionReplaying()) {
+      alert('Stop the replay before recording.');
+      return;
+    }
+    startSessionRecording();
+    gpsModal.classList.add('hidden');
+    showPrompt('⏺ Recording - open GPS settings again to stop and save');
+    return;
+  }
+  
+  const session = stopSessionRecording();
+  const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+  downloadBlob(blob, getTimestampedFileName('wplace-ar-session', 'json'));
+}
+
+/**
+ * Replay the chosen session file, or stop the replay
+ */
+async function toggleSessionReplay() {
+  if (isSessionReplaying()) {
+    stopSessionReplay(); // Back to the device GPS once the status updates
+    return;
+  }
+  
+  const file = sessionFileInput?.files?.[0];
+  if (!file) {
+    alert('Please choose a session file first.');
+    return;
+  }
+  
+  let session;
+  try {
+    session = parseSession(await file.text());
+  } catch (err) {
+    console.error('Failed to read session:', err);
+    alert(`Could not read that session: ${err.message}`);
+    return;
+  }
+  
+  endRoutePlayback();
+  startSessionReplay(session);
+  
+  // Recorded fixes replace the GPS; sessions without any keep the current location
+  replayDrivesGps = session.fixes.length > 0;
+  if (replayDrivesGps) {
+    useSimulatedGps(sessionGeolocation, '🌍 Replay');
+  } else {
+    gpsModal.classList.add('hidden');
+  }
+}
+
+/**
+ * Stop any session replay and release the GPS (without restarting it - the caller picks the next source)
+ */
+function endSessionReplay() {
+  if (!isSessionReplaying()) return;
+  if (replayDrivesGps) {
+    replayDrivesGps = false;
+    setSimulatedGeolocation(null);
+  }
+  stopSessionReplay();
+}
+
+/**
+ * Sync the session buttons and status badge with recording/replay
+ */
+function updateSessionDisplay(status) {
+  const { mode, elapsed, duration } = status;
+  
+  if (sessionRecordBtn) {
+    sessionRecordBtn.textContent = mode === 'recording' ? '⏹ Stop & Save Recording' : '⏺ Start Recording';
+  }
+  if (sessionReplayBtn) {
+    sessionReplayBtn.textContent = mode === 'replaying' ? '⏹ Stop Replay' : '▶️ Replay Session';
+  }
+  
+  // Replay finished or stopped while it was standing in for the GPS
+  if (mode !== 'replaying' && replayDrivesGps) {
+    replayDrivesGps = false;
+    useDeviceGps();
+  }
+  
+  if (!sessionBadge) return;
+  if (mode === 'idle') {
+    sessionBadge.classList.add('hidden');
+    return;
+  }
+  sessionBadge.classList.remove('hidden');
+  sessionBadge.classList.toggle('poor', mode === 'recording');
+  sessionBadge.textContent = mode === 'recording'
+    ? `⏺ REC ${formatDuration(elapsed)}`
+    : `▶ Replay ${formatDuration(elapsed)}/${formatDuration(duration)}`;
+}
+
+/**
+ * Build a slider for each parameter of the current smoothing filter
+ */
+function renderOrientationFilterParams() {
+  if (!orientationFilterParamsContainer) return;
+  orientationFilterParamsContainer.innerHTML = '';
+  
+  const values = getOrientationFilterParams();
+  ORIENTATION_FILTERS[getOrientationFilter()].params.forEach(({ key, label, min, max, step }) => {
+    const group = document.createElement('div');
+    group.className = 'setting-group';
+    
+    const labelEl = document.createElement('label');
+    labelEl.htmlFor = `filter-param-${key}`;
+    const valueEl = document.createElement('span');
+    valueEl.textContent = values[key];
+    labelEl.append(`${label}: `, valueEl);
+    
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.id = `filter-param-${key}`;
+    slider.className = 'filter-param-slider';
+    Object.assign(slider, { min, max, step, value: values[key] });
+    slider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      setOrientationFilterParam(key, value);
+      valueEl.textContent = value;
+    });
+    
+    group.append(labelEl, slider);
+    orientationFilterParamsContainer.appendChild(group);
+  });
+}
+
+/**
+ * Let the next map tap pick the calibration landmark and fill in its bearing
+ * (pressed again while waiting, cancels the pick)
+ */
+function pickCalibrationLandmark() {
+  if (isPickingLandmark()) {
+    cancelCalibrationPick();
+    return;
+  }
+  
+  const position = getShownPosition() || getCurrentLocation();
+  if (!position) {
+    alert('Your location isn\'t known yet.');
+    return;
+  }
+  
+  document.getElementById('location-map')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  if (calibrationLandmarkText) {
+    calibrationLandmarkPreviousText = calibrationLandmarkText.textContent;
+    calibrationLandmarkText.textContent = 'Tap the landmark on the map...';
+  }
+  if (calibrationPickBtn) calibrationPickBtn.textContent = '✖ Cancel Landmark Pick';
+  
+  pickLandmarkOnMap((landmark) => {
+    if (calibrationPickBtn) calibrationPickBtn.textContent = CALIBRATION_PICK_LABEL;
+    const bearing = calculateBearing(position.lat, position.lon, landmark.lat, landmark.lon);
+    const distance = calculateDistance(position.lat, position.lon, landmark.lat, landmark.lon);
+    if (calibrationBearingInput) {
+      calibrationBearingInput.value = bearing.toFixed(1);
+    }
+    if (calibrationLandmarkText) {
+      calibrationLandmarkText.textContent = `Landmark ${(distance / 1000).toFixed(2)} km away at ${bearing.toFixed(1)}°`;
+    }
+    calibrationBearingInput?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  });
+}
+
+/**
+ * Stop waiting for a landmark tap, so the map picks locations again
+ */
+function cancelCalibrationPick() {
+  if (!isPickingLandmark()) return;
+  cancelLandmarkPick();
+  if (calibrationPickBtn) calibrationPickBtn.textContent = CALIBRATION_PICK_LABEL;
+  if (calibrationLandmarkText) calibrationLandmarkText.textContent = calibrationLandmarkPreviousText;
+  console.log('Landmark pick cancelled');
+}
+
+/**
+ * Close the settings and show the crosshair for aiming at the landmark
+ */
+function startCalibrationAim() {
+  const bearing = parseFloat(calibrationBearingInput?.value);
+  if (!Number.isFinite(bearing) || bearing < 0 || bearing > 360) {
+    alert('Pick a landmark on the map or enter its bearing first.');
+    return;
+  }
+  if (!hasOrientationControls() || isTouchLook()) {
+    alert('Heading calibration needs the motion sensors.');
+    return;
+  }
+  
+  calibrationTarget = bearing;
+  closeGPSModal();
+  if (calibrationHint) {
+    calibrationHint.textContent = `Aim at the landmark (${bearing.toFixed(0)}°)`;
+  }
+  calibrationOverlay?.classList.remove('hidden');
+}
+
+/**
+ * Take where the crosshair points now as the landmark's bearing
+ */
+function setCalibrationFromAim() {
+  const cameraBearing = getCameraBearing();
+  if (cameraBearing === null) {
+    showPrompt('🎯 Point at the landmark nearer the horizon');
+    return;
+  }
+  
+  const offset = calibrateHeading(cameraBearing, getTileGroupHeading() * 180 / Math.PI, calibrationTarget);
+  calibrationOverlay?.classList.add('hidden');
+  updateCalibrationDisplay();
+  showPrompt(`🧭 Heading calibrated (${offset > 0 ? '+' : ''}${offset.toFixed(1)}°)`);
+}
+
+/**
+ * Show the saved calibration offset
+ */
+function updateCalibrationDisplay() {
+  if (!calibrationOffsetText) return;
+  const offset = getHeadingCalibration();
+  calibrationOffsetText.textContent = offset === 0
+    ? 'Not calibrated'
+    : `Offset: ${offset > 0 ? '+' : ''}${offset.toFixed(1)}°`;
+}
+
+/**
+ * Fill the camera picker with the cameras available now
+ */
+async function refreshCameraList() {
+  if (!cameraSelect) return;
+  
+  let cameras;
+  try {
+    cameras = await listCameras();
+  } catch (err) {
+    console.warn('Could not list cameras:', err);
+    return;
+  }
+  
+  // Keep the default entry, replace the rest
+  while (cameraSelect.options.length > 1) {
+    cameraSelect.remove(1);
+  }
+  cameras.forEach(({ deviceId, label }) => {
+    cameraSelect.add(new Option(label, deviceId));
+  });
+  cameraSelect.value = getCameraDeviceId() || '';
+}
+
+/**
+ * Let the user know when the camera drops out or comes back
+ */
+function onVideoStatusChange(status) {
+  // The sky stands in whenever the feed isn't showing
+  if (backgroundMode === 'camera') {
+    setSkyVisible(status !== 'live');
+  }
+  
+  if (status === 'lost' && lastVideoStatus !== 'lost') {
+    showPrompt('📷 Camera unavailable - reconnecting...');
+  } else if (status === 'unavailable') {
+    showPrompt('📷 No camera access - showing the sky without it');
+  } else if (status === 'live' && lastVideoStatus === 'lost') {
+    showPrompt('📷 Camera reconnected', 2000);
+  }
+  lastVideoStatus = status;
+}
+
+/**
+ * Switch the background between the camera feed and the synthetic sky
+ * @param {'camera'|'sky'} mode
+ */
+async function applyBackgroundMode(mode) {
+  if (mode === backgroundMode) return;
+  backgroundMode = mode;
+  if (backgroundModeSelect) backgroundModeSelect.value = mode;
+  console.log(`Background mode: ${mode}`);
+  
+  if (mode === 'sky') {
+    stopVideo();
+    setSkyVisible(true);
+  } else {
+    setSkyVisible(getVideoStatus() !== 'live');
+    await startVideo();
+  }
+}
+
+/**
+ * Close the settings and show the lens FOV slider over the live view
+ */
+function startFovCalibration() {
+  const { fov } = getLensFov();
+  if (fovSlider) fovSlider.value = fov;
+  fovAdjusted = false;
+  if (fovValue) fovValue.textContent = `${fov}°`;
+  
+  closeGPSModal();
+  fovOverlay?.classList.remove('hidden');
+  showPrompt('↔️ Turn slowly and adjust until the art stays fixed against the camera image', 8000);
+}
+
+/**
+ * Show the lens FOV in use and where it came from
+ */
+function updateCameraFovDisplay() {
+  if (!cameraFovText) return;
+  const { fov, source } = getLensFov();
+  const from = source === 'calibrated' ? 'calibrated' : source === 'default' ? 'default' : `${source} preset`;
+  cameraFovText.textContent = `Lens: ${fov}° (${from})`;
+}
+
+/**
+ * Save a blob through a temporary download link
+ */
+function downloadBlob(blob, fileName) {
+  const link = document.createElement('a');
+  link.download = fileName;
+  link.href = URL.createObjectURL(blob);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * File name with the current time, e.g. wplace-ar-photo-2025-08-14T18-30-05.png
+ */
+function getTimestampedFileName(prefix, extension) {
+  return `${prefix}-${new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)}.${extension}`;
+}
+
+/**
+ * Download tiles around the selected map point for offline use
+ */
+async function downloadAreaForOffline() {
+  if (!offlineDownloadBtn || !offlineRadiusSelect) return;
+  
+  // Selected map point first, then wherever the viewer currently is
+  const gpsOverride = getGpsOverride();
+  const currentLocation = getCurrentLocation();
+  const location = getSelectedLocation() || gpsOverride || currentLocation || FALLBACK;
+  const radius = parseInt(offlineRadiusSelect.value);
+  
+  offlineDownloadBtn.disabled = true;
+  offlineDownloadBtn.textContent = '⏳ Downloading...';
+  
+  const showProgress = ({ done, total, failed, bytes }) => {
+    if (!offlineProgress) return;
+    const failedText = failed > 0 ? ` · ${failed} failed` : '';
+    offlineProgress.textContent = `${done}/${total} tiles · ${formatBytes(bytes)}${failedText}`;
+  };
+  
+  try {
+    const result = await downloadTilesForOffline(location.lat, location.lon, radius, showProgress);
+    showProgress(result);
+    offlineDownloadBtn.textContent = result.failed === result.total ? '❌ Download Failed' : '✓ Area Saved';
+  } catch (err) {
+    console.error('Offline download failed:', err);
+    offlineDownloadBtn.textContent = '❌ Download Failed';
+  }
+  
+  setTimeout(() => {
+    offlineDownloadBtn.disabled = false;
+    offlineDownloadBtn.textContent = '⬇️ Download This Area';
+  }, 2000);
+}
+
+/**
+ * Fill the template anchor with the last pixel tapped in the sky
+ */
+function useTappedPixelAsAnchor() {
+  const pixel = getLastInspectedPixel();
+  if (!pixel) {
+    alert('Tap a pixel in the sky first, then come back here.');
+    return;
+  }
+  templateTileXInput.value = pixel.tileX;
+  templateTileYInput.value = pixel.tileY;
+  templatePixelXInput.value = pixel.pixelX;
+  templatePixelYInput.value = pixel.pixelY;
+}
+
+/**
+ * Load the chosen template image at the entered anchor
+ */
+async function showTemplate() {
+  const file = templateFileInput?.files?.[0];
+  if (!file) {
+    alert('Please choose a template PNG first.');
+    return;
+  }
+  
+  const anchor = [templateTileXInput, templateTileYInput, templatePixelXInput, templatePixelYInput]
+    .map(input => parseInt(input?.value));
+  if (anchor.some(isNaN)) {
+    alert('Please enter the tile and pixel coordinates of the template\'s top-left corner.');
+    return;
+  }
+  if (anchor[2] < 0 || anchor[2] > 999 || anchor[3] < 0 || anchor[3] > 999) {
+    alert('Pixel coordinates must be between 0 and 999.');
+    return;
+  }
+  
+  if (templateStatsText) templateStatsText.textContent = 'Checking progress...';
+  try {
+    await loadTemplate(file, ...anchor);
+  } catch (err) {
+    console.error('Failed to load template:', err);
+    alert('Could not read that image. Please choose a PNG file.');
+    if (templateStatsText) templateStatsText.textContent = '';
+  }
+}
+
+/**
+ * Show template progress (null hides it)
+ */
+function updateTemplateStatsDisplay(stats) {
+  if (!stats) {
+    if (templateStatsText) templateStatsText.textContent = '';
+    if (templateProgressBadge) templateProgressBadge.classList.add('hidden');
+    return;
+  }
+  
+  const { match, wrong, missing, total } = stats;
+  const percent = total > 0 ? Math.floor((match / total) * 100) : 0;
+  const text = `✓ ${match} match · ✗ ${wrong} wrong · ○ ${missing} missing (${percent}%)`;
+  
+  if (templateStatsText) templateStatsText.textContent = text;
+  if (templateProgressBadge) {
+    templateProgressBadge.textContent = `🎯 ${text}`;
+    templateProgressBadge.classList.toggle('hidden', !hasTemplate());
+  }
+}
+
+/**
+ * Show GPS accuracy (null hides it)
+ */
+function updateGpsAccuracyDisplay(status) {
+  if (!status) {
+    if (gpsAccuracyBadge) gpsAccuracyBadge.classList.add('hidden');
+    if (gpsAccuracyText) gpsAccuracyText.textContent = '';
+    return;
+  }
+  
+  const { accuracy, smoothedAccuracy, accepted } = status;
+  const text = accepted
+    ? `±${Math.round(smoothedAccuracy)}m`
+    : `±${Math.round(accuracy)}m - fix ignored`;
+  
+  if (gpsAccuracyBadge) {
+    gpsAccuracyBadge.textContent = `📡 ${text}`;
+    gpsAccuracyBadge.classList.toggle('poor', !accepted || smoothedAccuracy > GPS_MAX_ACCURACY / 2);
+    gpsAccuracyBadge.classList.remove('hidden');
+  }
+  if (gpsAccuracyText) {
+    gpsAccuracyText.textContent = `Current accuracy: ${text}`;
+  }
+}
+
+/**
+ * Open or close the history timeline
+ */
+function toggleHistoryBar() {
+  if (historyBar?.classList.contains('hidden')) {
+    openHistoryBar();
+  } else {
+    closeHistoryBar();
+  }
+}
+
+/**
+ * Show the history timeline for the tiles around the user
+ */
+async function openHistoryBar() {
+  if (!historyBar) return;
+  historyBar.classList.remove('hidden');
+  
+  const frames = await loadHistoryTimeline();
+  if (frames.length === 0) {
+    showPrompt('🕓 No snapshots here yet - history builds up as tiles are downloaded');
+  }
+}
+
+/**
+ * Hide the history timeline and go back to the live tiles
+ */
+function closeHistoryBar() {
+  exitHistory();
+  if (historyBar) historyBar.classList.add('hidden');
+}
+
+/**
+ * Format a snapshot time for the timeline label
+ */
+function formatSnapshotTime(time) {
+  return new Date(time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Sync the timeline controls (the last slider position is the live tiles)
+ */
+function updateHistoryDisplay({ frames, frameIndex, playing }) {
+  if (historySlider) {
+    historySlider.max = frames.length;
+    historySlider.value = frameIndex === null ? frames.length : frameIndex;
+  }
+  if (historyLabel) {
+    historyLabel.textContent = frameIndex === null ? 'Live' : formatSnapshotTime(frames[frameIndex]);
+  }
+  if (historyPlayBtn) {
+    historyPlayBtn.textContent = playing ? '⏸' : '▶';
+    historyPlayBtn.title = playing ? 'Pause' : 'Play';
+    historyPlayBtn.disabled = frames.length === 0;
+  }
+}
+
+/**
+ * Delete every stored tile snapshot
+ */
+async function clearHistory() {
+  if (!confirm('Delete all saved history snapshots from this device?')) return;
+  
+  await clearTileSnapshots();
+  if (historyBar && !historyBar.classList.contains('hidden')) {
+    exitHistory();
+    await loadHistoryTimeline();
+  }
+}
+
 /**
  * Photo capture functionality
  * Uses a flag-based approach to capture in the render loop for consistent buffer state
@@ -459,18 +1680,7 @@ function performCapture() {
       return;
     }
     
-    // Create a temporary link element to trigger download
-    const link = document.createElement('a');
-    link.download = `wplace-ar-photo-${new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)}.png`;
-    link.href = URL.createObjectURL(blob);
-    
-    // Trigger the download
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    // Clean up the object URL
-    URL.revokeObjectURL(link.href);
+    downloadBlob(blob, getTimestampedFileName('wplace-ar-photo', 'png'));
     
     // Visual feedback
     photoBtn.textContent = '✓ Saved!';
@@ -483,7 +1693,6 @@ function performCapture() {
     
     console.log('Photo captured and downloaded successfully');
     console.log(blob);
-    console.log(link.href);
   }, 'image/png');
 }
 
@@ -497,6 +1706,41 @@ export function checkAndCapture() {
   }
 }
 
+/**
+ * Start recording a clip of the AR view, or stop and save it
+ */
+function toggleClipRecording() {
+  if (isClipRecording()) {
+    stopClipRecording();
+    return;
+  }
+  if (!startClipRecording(renderer.domElement)) {
+    showPrompt('🎥 This browser can\'t record video clips');
+  }
+}
+
+/**
+ * Show the duration counter on the record button
+ */
+function updateClipDisplay({ recording, elapsed, maxDuration }) {
+  if (!recordBtn) return;
+  recordBtn.classList.toggle('recording', recording);
+  recordBtn.textContent = recording ? `⏹ ${formatDuration(elapsed)}/${formatDuration(maxDuration)}` : '⏺';
+  recordBtn.title = recording ? 'Stop and save the clip' : 'Record a clip';
+}
+
+/**
+ * Download a finished clip
+ */
+function saveClip(clip) {
+  if (!clip) {
+    showPrompt('🎥 Nothing was recorded');
+    return;
+  }
+  downloadBlob(clip.blob, getTimestampedFileName('wplace-ar-clip', clip.extension));
+  showPrompt(`🎥 Clip saved (${formatDuration(clip.duration)})`, 2000);
+}
+
 /**
  * Toggle UI visibility functionality
  */
@@ -511,8 +1755,16 @@ function toggleUIVisibility() {
   const elementsToToggle = [
     gpsBtn,
     photoBtn,
+    recordBtn,
     opacityControl,
-    heightControl
+    heightControl,
+    templateProgressBadge,
+    gpsAccuracyBadge,
+    historyBtn,
+    historyBar,
+    routeBar,
+    sessionBadge,
+    lookModeBtn
   ];
   
   // Toggle visibility for each element
@@ -535,16 +1787,34 @@ function toggleUIVisibility() {
 /**
  * Interaction prompt functionality
  */
+let promptHideTimeoutId = null;
+let promptRemoveTimeoutId = null;
+
 function showInteractionPrompt(isMobile) {
-  if (!interactionPrompt || !promptText) return;
-  
   // Set appropriate text based on device type
-  if (isMobile) {
-    promptText.textContent = '📱 Rotate your device to look around';
+  if (isTouchLook()) {
+    showPrompt('👆 Drag to look around, pinch to zoom');
+  } else if (isMobile) {
+    showPrompt('📱 Rotate your device to look around');
   } else {
-    promptText.textContent = '🖱️ Click and drag to look around';
+    showPrompt('🖱️ Drag, or use WASD / arrow keys, to look around - press ? for shortcuts');
   }
   
+  console.log('Interaction prompt shown:', isMobile ? 'mobile' : 'desktop');
+}
+
+/**
+ * Show a message in the interaction prompt, auto-hiding after a delay
+ */
+function showPrompt(text, duration = 5000) {
+  if (!interactionPrompt || !promptText) return;
+  
+  // Cancel any pending hide from a previous message
+  clearTimeout(promptHideTimeoutId);
+  clearTimeout(promptRemoveTimeoutId);
+  
+  promptText.textContent = text;
+  
   // Show the prompt
   interactionPrompt.classList.remove('hidden');
   
@@ -553,18 +1823,16 @@ function showInteractionPrompt(isMobile) {
     interactionPrompt.classList.add('show');
   }, 50);
   
-  // Auto-hide after 5 seconds
-  setTimeout(() => {
+  // Auto-hide after the given duration
+  promptHideTimeoutId = setTimeout(() => {
     // Fade out
     interactionPrompt.classList.remove('show');
     
     // Remove from DOM after fade animation completes
-    setTimeout(() => {
+    promptRemoveTimeoutId = setTimeout(() => {
       interactionPrompt.classList.add('hidden');
     }, 500);
-  }, 5000);
-  
-  console.log('Interaction prompt shown:', isMobile ? 'mobile' : 'desktop');
+  }, duration);
 }
 
 /**
@@ -578,11 +1846,19 @@ function updatePlaneHeight() {
   setSkyHeight(newHeight);
   
   // Update the display value
-  heightValue.textContent = `${newHeight}m`;
+  updateHeightLabel();
   
   console.log(`Plane height updated to ${newHeight} units`);
 }
 
+/**
+ * Show the sky height, in meters only when the scene is at geographic scale
+ */
+function updateHeightLabel() {
+  if (!heightSlider || !heightValue) return;
+  heightValue.textContent = getGeoScale() ? `${heightSlider.value}m` : heightSlider.value;
+}
+
 /**
  * Opacity control functionality
  */
@@ -68,6 +68,36 @@ export async function ensureMotionPermission() {
   return granted;
 }
 
+/**
+ * Wrap an angle in degrees to the range (-180, 180]
+ * @param {number} angle - Angle in degrees
+ * @returns {number} Wrapped angle
+ */
+export function wrapDegrees(angle) {
+  let a = angle % 360;
+  if (a > 180) a -= 360;
+  if (a <= -180) a += 360;
+  return a;
+}
+
+/**
+ * Calculate the initial bearing from one lat/lon coordinate to another
+ * @param {number} lat1 - Latitude of start point
+ * @param {number} lon1 - Longitude of start point
+ * @param {number} lat2 - Latitude of end point
+ * @param {number} lon2 - Longitude of end point
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+export function calculateBearing(lat1, lon1, lat2, lon2) {
+  const φ1 = lat1 * Math.PI / 180;
+  const φ2 = lat2 * Math.PI / 180;
+  const Δλ = (lon2 - lon1) * Math.PI / 180;
+  
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
 /**
  * Calculate distance between two lat/lon coordinates using Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -110,3 +140,113 @@ export function latLonToTile(lat, lon, zoom, tileSize = 1000) {
   return { tileX, tileY, pixelX, pixelY };
 }
 
+/**
+ * Convert lat/lon to fractional global pixel coordinates (Web Mercator)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} zoom - Zoom level
+ * @param {number} tileSize - Size of each tile in pixels/units
+ * @returns {Object} Object with x, y (tile * tileSize + pixel, not rounded)
+ */
+export function latLonToPixel(lat, lon, zoom, tileSize = 1000) {
+  const x = (lon + 180) / 360;
+  const y = (1 - Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI / 180) / 2)) / Math.PI) / 2;
+  const n = Math.pow(2, zoom);
+  return { x: x * n * tileSize, y: y * n * tileSize };
+}
+
+/**
+ * Convert tile and pixel coordinates back to lat/lon (inverse of latLonToTile)
+ * @param {number} tileX - Tile X coordinate
+ * @param {number} tileY - Tile Y coordinate
+ * @param {number} pixelX - Pixel X within the tile (fractional values allowed)
+ * @param {number} pixelY - Pixel Y within the tile (fractional values allowed)
+ * @param {number} zoom - Zoom level
+ * @param {number} tileSize - Size of each tile in pixels/units
+ * @returns {Object} Object with lat, lon
+ */
+export function tileToLatLon(tileX, tileY, pixelX, pixelY, zoom, tileSize = 1000) {
+  const n = Math.pow(2, zoom);
+  const x = (tileX + pixelX / tileSize) / n;
+  const y = (tileY + pixelY / tileSize) / n;
+  const lon = x * 360 - 180;
+  const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI;
+  return { lat, lon };
+}
+
+/**
+ * Real width of a Web Mercator tile at a latitude
+ * @param {number} lat - Latitude in degrees
+ * @param {number} zoom - Zoom level
+ * @returns {number} Tile width in meters
+ */
+export function getTileSizeMeters(lat, zoom) {
+  const EARTH_CIRCUMFERENCE = 40075016.686; // meters at the equator (WGS84)
+  return EARTH_CIRCUMFERENCE * Math.cos(lat * Math.PI / 180) / Math.pow(2, zoom);
+}
+
+/**
+ * Approximate sun position (low-precision solar ephemeris, good to about a degree)
+ * @param {Date} date - Moment to compute for
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {{azimuth: number, elevation: number}} Degrees; azimuth clockwise from north
+ */
+export function getSunPosition(date, lat, lon) {
+  const rad = Math.PI / 180;
+  const days = (date.getTime() - Date.UTC(2000, 0, 1, 12)) / 86400000; // since J2000
+  
+  // Ecliptic longitude from the mean anomaly and mean longitude
+  const meanAnomaly = (357.529 + 0.98560028 * days) * rad;
+  const meanLongitude = 280.459 + 0.98564736 * days;
+  const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * rad;
+  const obliquity = (23.439 - 0.00000036 * days) * rad;
+  
+  // Equatorial coordinates, then local hour angle from sidereal time
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+  const siderealTime = (280.46061837 + 360.98564736629 * days + lon) * rad;
+  const hourAngle = siderealTime - rightAscension;
+  
+  const φ = lat * rad;
+  const elevation = Math.asin(Math.sin(φ) * Math.sin(declination) + Math.cos(φ) * Math.cos(declination) * Math.cos(hourAngle));
+  const azimuth = Math.atan2(
+    -Math.sin(hourAngle) * Math.cos(declination),
+    Math.sin(declination) * Math.cos(φ) - Math.cos(declination) * Math.sin(φ) * Math.cos(hourAngle)
+  );
+  
+  return {
+    azimuth: (azimuth / rad + 360) % 360,
+    elevation: elevation / rad
+  };
+}
+
+/**
+ * Format a byte count for display (e.g. "1.4 MB")
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Human readable size
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format a duration for display (e.g. "1:05")
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Minutes and seconds
+ */
+export function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Check whether a keyboard event target is a text field or control that takes typing
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True if key presses belong to the field, not shortcuts
+ */
+export function isEditableTarget(target) {
+  return target instanceof HTMLElement && (target.isContentEditable || target.matches('input, select, textarea'));
+}
@@ -1,14 +1,66 @@
 /**
  * Camera feed management
+ *
+ * The feed is drawn cover-fit (cropped, never stretched) behind the scene, and the
+ * virtual camera's field of view is set to match the part of the lens image on screen,
+ * so the overlay stays registered with the real world while the phone turns.
+ *
+ * The stream is stopped while the page is hidden and reopened when it comes back,
+ * and a track that ends (camera unplugged or taken by another app) is retried.
  */
 import * as THREE from 'three';
-import { scene } from './scene.js';
+import { scene, setCameraBaseFov, CAMERA_DEFAULT_FOV } from './scene.js';
+import {
+  CAMERA_LENS_FOV,
+  CAMERA_LENS_FOV_TABLE,
+  VIDEO_RESOLUTION,
+  VIDEO_RESOLUTIONS,
+  VIDEO_RETRY_DELAYS
+} from './config.js';
+
+const LENS_FOV_STORAGE_KEY = 'wplace-ar-camera-fov';
 
 // Video element for camera feed
 const video = document.createElement('video');
 video.setAttribute('playsinline', '');
 video.muted = true;
 let videoStarted = false;
+let videoTexture = null;
+
+// Stream state
+let stream = null;
+let cameraDeviceId = null; // null = default rear camera
+let videoResolution = VIDEO_RESOLUTION; // Key of VIDEO_RESOLUTIONS
+let streamRequestId = 0; // Guards against stale getUserMedia results
+let retryCount = 0;
+let retryTimeoutId = null;
+let videoStatus = 'off'; // 'off', 'live', 'paused' (page hidden), 'lost' (retrying) or 'unavailable'
+
+// Field of view (degrees) across the long edge of the camera image
+let lensFov = CAMERA_LENS_FOV;
+let lensFovSource = 'default'; // 'calibrated', a CAMERA_LENS_FOV_TABLE name, or 'default'
+
+// Callback for camera status changes (set by ui module)
+let videoStatusCallback = null;
+
+/**
+ * Set callback for camera status changes, called with the new status
+ */
+export function setVideoStatusCallback(callback) {
+  videoStatusCallback = callback;
+}
+
+/**
+ * Update the camera status and tell the UI
+ */
+function setVideoStatus(status) {
+  if (status === videoStatus) return;
+  videoStatus = status;
+  console.log(`Camera status: ${status}`);
+  if (videoStatusCallback) {
+    videoStatusCallback(status);
+  }
+}
 
 /**
  * Start the camera feed and set it as the scene background
@@ -16,18 +68,346 @@ let videoStarted = false;
 export async function startVideo() {
   if (videoStarted) return;
   videoStarted = true;
+
+  // Release the camera in the background, take it back when visible again
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  // The frame size changes when the phone rotates
+  video.addEventListener('resize', updateVideoFit);
+  window.addEventListener('resize', updateVideoFit);
+
+  await openStream();
+}
+
+/**
+ * Stop the camera feed and release the camera (e.g. when the procedural sky is picked)
+ */
+export function stopVideo() {
+  if (!videoStarted) return;
+  videoStarted = false;
+
+  document.removeEventListener('visibilitychange', onVisibilityChange);
+  video.removeEventListener('resize', updateVideoFit);
+  window.removeEventListener('resize', updateVideoFit);
+
+  streamRequestId++; // Drop any open in flight
+  clearTimeout(retryTimeoutId);
+  retryTimeoutId = null;
+  retryCount = 0;
+  stopStream();
+  clearBackground();
+  setCameraBaseFov(CAMERA_DEFAULT_FOV); // The lens FOV only applies while the feed is behind the sky
+  setVideoStatus('off');
+}
+
+/**
+ * getUserMedia constraints for the chosen camera and resolution
+ */
+function getVideoConstraints() {
+  const constraints = cameraDeviceId
+    ? { deviceId: { exact: cameraDeviceId } }
+    : { facingMode: { ideal: 'environment' } };
+
+  const { width, height } = VIDEO_RESOLUTIONS[videoResolution];
+  if (width && height) {
+    constraints.width = { ideal: width };
+    constraints.height = { ideal: height };
+  }
+  return constraints;
+}
+
+/**
+ * (Re)open the camera stream with the current settings
+ */
+async function openStream() {
+  const requestId = ++streamRequestId;
+  stopStream();
+  clearTimeout(retryTimeoutId);
+  retryTimeoutId = null;
+
+  let newStream;
   try {
-    const stream = await navigator.mediaDevices.getUserMedia({
-      video: { facingMode: { ideal: 'environment' } }, audio: false
-    });
-    video.srcObject = stream;
-    await video.play();
-    const videoTex = new THREE.VideoTexture(video);
-    videoTex.minFilter = THREE.LinearFilter;
-    videoTex.magFilter = THREE.LinearFilter;
-    scene.background = videoTex;
+    newStream = await navigator.mediaDevices.getUserMedia({ video: getVideoConstraints(), audio: false });
   } catch (err) {
+    if (requestId !== streamRequestId) return;
     console.warn('getUserMedia error:', err);
+
+    // The chosen camera has gone away - fall back to the default one
+    if (cameraDeviceId && (err.name === 'NotFoundError' || err.name === 'OverconstrainedError')) {
+      cameraDeviceId = null;
+      return openStream();
+    }
+
+    clearBackground();
+    // Denied permission won't fix itself; anything else (e.g. camera busy) is retried
+    if (err.name === 'NotAllowedError' || err.name === 'SecurityError' || !navigator.mediaDevices) {
+      setVideoStatus('unavailable');
+    } else {
+      scheduleRetry();
+    }
+    return;
   }
+
+  // Page hidden or settings changed while the camera was opening
+  if (requestId !== streamRequestId) {
+    newStream.getTracks().forEach((track) => track.stop());
+    return;
+  }
+
+  stream = newStream;
+  const [track] = stream.getVideoTracks();
+  track.addEventListener('ended', onTrackEnded);
+
+  video.srcObject = stream;
+  try {
+    await video.play();
+  } catch (err) {
+    console.warn('Video play error:', err);
+  }
+
+  if (!videoTexture) {
+    videoTexture = new THREE.VideoTexture(video);
+    videoTexture.minFilter = THREE.LinearFilter;
+    videoTexture.magFilter = THREE.LinearFilter;
+  }
+  scene.background = videoTexture;
+  retryCount = 0;
+
+  const settings = track.getSettings();
+  console.log(`Camera opened: ${track.label || 'camera'} ${settings.width}x${settings.height}`);
+  setVideoStatus('live');
+  updateVideoFit();
+}
+
+/**
+ * Stop the camera stream (the camera light goes off)
+ */
+function stopStream() {
+  if (!stream) return;
+  stream.getTracks().forEach((track) => {
+    track.removeEventListener('ended', onTrackEnded);
+    track.stop();
+  });
+  stream = null;
+  video.srcObject = null;
+}
+
+/**
+ * Drop the (frozen) feed so the procedural sky shows through while there is none
+ */
+function clearBackground() {
+  scene.background = null;
+}
+
+/**
+ * Try to reopen the camera after a delay that grows with each failure
+ */
+function scheduleRetry() {
+  setVideoStatus('lost');
+  const delay = VIDEO_RETRY_DELAYS[Math.min(retryCount, VIDEO_RETRY_DELAYS.length - 1)];
+  retryCount++;
+  console.log(`Retrying camera in ${delay}ms (attempt ${retryCount})`);
+  retryTimeoutId = setTimeout(() => {
+    retryTimeoutId = null;
+    if (!document.hidden) {
+      openStream();
+    }
+  }, delay);
+}
+
+/**
+ * The track stopped without us asking (unplugged, or another app took the camera)
+ */
+function onTrackEnded() {
+  console.warn('Camera track ended');
+  stopStream();
+  clearBackground();
+  scheduleRetry();
+}
+
+/**
+ * Stop the camera while the page is hidden and reopen it when visible
+ */
+function onVisibilityChange() {
+  if (document.hidden) {
+    streamRequestId++; // Drop any open in flight
+    clearTimeout(retryTimeoutId);
+    retryTimeoutId = null;
+    stopStream();
+    setVideoStatus('paused');
+  } else if (videoStatus !== 'unavailable') {
+    openStream();
+  }
+}
+
+/**
+ * Get the camera status
+ * @returns {'off'|'live'|'paused'|'lost'|'unavailable'}
+ */
+export function getVideoStatus() {
+  return videoStatus;
 }
 
+/**
+ * List the cameras (labels are only filled in once camera permission is granted)
+ * @returns {Promise<Array<{deviceId: string, label: string}>>}
+ */
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(({ kind, deviceId }) => kind === 'videoinput' && deviceId)
+    .map(({ deviceId, label }, i) => ({ deviceId, label: label || `Camera ${i + 1}` }));
+}
+
+/**
+ * Get the chosen camera's device id (null for the default rear camera)
+ */
+export function getCameraDeviceId() {
+  return cameraDeviceId;
+}
+
+/**
+ * Switch camera (null for the default rear camera)
+ */
+export function setCameraDeviceId(deviceId) {
+  if (deviceId === cameraDeviceId) return;
+  cameraDeviceId = deviceId;
+  loadLensFov(); // Each lens has its own field of view
+  console.log(`Camera set to ${deviceId || 'default'}`);
+  if (videoStarted && !document.hidden) {
+    openStream();
+  }
+}
+
+/**
+ * Get the preferred resolution (key of VIDEO_RESOLUTIONS)
+ */
+export function getVideoResolution() {
+  return videoResolution;
+}
+
+/**
+ * Set the preferred resolution (key of VIDEO_RESOLUTIONS)
+ */
+export function setVideoResolution(resolution) {
+  if (!VIDEO_RESOLUTIONS[resolution] || resolution === videoResolution) return;
+  videoResolution = resolution;
+  console.log(`Camera resolution set to ${VIDEO_RESOLUTIONS[resolution].name}`);
+  if (videoStarted && !document.hidden) {
+    openStream();
+  }
+}
+
+/**
+ * Crop the feed to cover the canvas and match the virtual camera to the visible part
+ */
+function updateVideoFit() {
+  if (!videoTexture || !video.videoWidth || !video.videoHeight) return;
+
+  const canvasAspect = window.innerWidth / window.innerHeight;
+  const videoAspect = video.videoWidth / video.videoHeight;
+
+  // Show the centre of the frame: crop the sides of a wider feed, or the top and bottom of a taller one
+  const repeatX = Math.min(1, canvasAspect / videoAspect);
+  const repeatY = Math.min(1, videoAspect / canvasAspect);
+  videoTexture.repeat.set(repeatX, repeatY);
+  videoTexture.offset.set((1 - repeatX) / 2, (1 - repeatY) / 2);
+
+  // Focal length in video pixels from the lens FOV, then the vertical FOV of the visible crop
+  const longEdge = Math.max(video.videoWidth, video.videoHeight);
+  const focalLength = (longEdge / 2) / Math.tan(THREE.MathUtils.degToRad(lensFov) / 2);
+  const visibleHeight = video.videoHeight * repeatY;
+  const fov = THREE.MathUtils.radToDeg(2 * Math.atan((visibleHeight / 2) / focalLength));
+
+  setCameraBaseFov(fov);
+  console.log(`Video ${video.videoWidth}x${video.videoHeight} cover-fit, lens ${lensFov.toFixed(1)}° → view ${fov.toFixed(1)}° vertical`);
+}
+
+/**
+ * Lens FOV for this device from the table (matched on the user agent), else the default
+ */
+function getTableLensFov() {
+  const entry = CAMERA_LENS_FOV_TABLE.find(({ pattern }) => pattern.test(navigator.userAgent));
+  return entry ? { fov: entry.fov, source: entry.name } : { fov: CAMERA_LENS_FOV, source: 'default' };
+}
+
+/**
+ * Calibrated lens FOVs saved on this device, by camera device id ('default' for the default camera)
+ */
+function getStoredLensFovs() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LENS_FOV_STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (err) {
+    console.warn('Could not load camera FOV:', err);
+    return {};
+  }
+}
+
+/**
+ * Save the calibrated lens FOV for the current camera (null removes it)
+ */
+function storeLensFov(fov) {
+  const stored = getStoredLensFovs();
+  const key = cameraDeviceId || 'default';
+  if (fov === null) {
+    delete stored[key];
+  } else {
+    stored[key] = fov;
+  }
+  try {
+    localStorage.setItem(LENS_FOV_STORAGE_KEY, JSON.stringify(stored));
+  } catch (err) {
+    console.warn('Could not save camera FOV:', err);
+  }
+}
+
+/**
+ * Load the calibrated lens FOV for the current camera, falling back to the table
+ */
+function loadLensFov() {
+  ({ fov: lensFov, source: lensFovSource } = getTableLensFov());
+  const stored = getStoredLensFovs()[cameraDeviceId || 'default'];
+  if (Number.isFinite(stored)) {
+    lensFov = stored;
+    lensFovSource = 'calibrated';
+  }
+  console.log(`Camera lens FOV: ${lensFov}° (${lensFovSource})`);
+  updateVideoFit();
+}
+
+loadLensFov();
+
+/**
+ * Get the lens field of view and where it came from
+ * @returns {{fov: number, source: string}} fov in degrees across the long edge of the image
+ */
+export function getLensFov() {
+  return { fov: lensFov, source: lensFovSource };
+}
+
+/**
+ * Set the lens field of view (degrees, across the long edge); saved on this device for this camera
+ */
+export function setLensFov(fov) {
+  lensFov = fov;
+  lensFovSource = 'calibrated';
+  storeLensFov(fov);
+  updateVideoFit();
+}
+
+/**
+ * Try a lens field of view without saving it (e.g. while a slider is dragged)
+ */
+export function previewLensFov(fov) {
+  lensFov = fov;
+  updateVideoFit();
+}
+
+/**
+ * Forget the calibrated lens FOV for this camera and go back to the table/default
+ */
+export function resetLensFov() {
+  storeLensFov(null);
+  loadLensFov();
+}
@@ -1 +1,16 @@
 /// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  /** Default tile source: "public", "selfHosted" or "local" */
+  readonly VITE_TILE_SOURCE?: string
+  /** Base URL of a self-hosted proxy worker (enables the "selfHosted" source) */
+  readonly VITE_TILE_PROXY_URL?: string
+  /** Bearer token sent to the self-hosted proxy - built into the bundle, so public */
+  readonly VITE_TILE_PROXY_TOKEN?: string
+  /** Base URL of a folder of {x}/{y}.png tiles (defaults to public/tiles) */
+  readonly VITE_LOCAL_TILES_URL?: string
+}
+
+interface ImportMeta {
+  readonly env: ImportMetaEnv
+}
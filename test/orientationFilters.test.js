@@ -0,0 +1,95 @@
+/**
+ * Orientation filter tests, fed by recorded-style quaternion streams ([t (ms), x, y, z, w])
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ORIENTATION_FILTERS, getDefaultFilterParams, runOrientationFilter } from '../src/orientationFilters.js';
+
+const SAMPLE_INTERVAL = 16; // ms, about one sensor event per frame
+const SMOOTHING_FILTERS = ['adaptive', 'oneEuro'];
+
+/**
+ * Small seeded random generator, so jittery streams are the same on every run
+ */
+function createRandom(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+}
+
+/**
+ * Orientation looking at a compass yaw and pitch (radians)
+ */
+function orientation(yaw, pitch = 0) {
+  return new THREE.Quaternion().setFromEuler(new THREE.Euler(pitch, yaw, 0, 'YXZ'));
+}
+
+/**
+ * Samples every SAMPLE_INTERVAL ms for a duration, orientation from a function of time (ms)
+ */
+function createSamples(duration, orientationAt) {
+  const samples = [];
+  for (let t = 0; t <= duration; t += SAMPLE_INTERVAL) {
+    samples.push([t, ...orientationAt(t).toArray()]);
+  }
+  return samples;
+}
+
+/**
+ * Angle in radians between a sample and a rotation
+ */
+function angleFrom(sample, quaternion) {
+  return new THREE.Quaternion().fromArray(sample.slice(1)).angleTo(quaternion);
+}
+
+/**
+ * Mean angle in radians between consecutive samples (how shaky the stream is)
+ */
+function meanStep(samples) {
+  let total = 0;
+  for (let i = 1; i < samples.length; i++) {
+    total += angleFrom(samples[i], new THREE.Quaternion().fromArray(samples[i - 1].slice(1)));
+  }
+  return total / (samples.length - 1);
+}
+
+test('passthrough returns the input unchanged', () => {
+  const random = createRandom(1);
+  const samples = createSamples(1000, () => orientation(random() * Math.PI, random() - 0.5));
+  const filtered = runOrientationFilter('none', samples, getDefaultFilterParams('none'));
+
+  assert.equal(filtered.length, samples.length);
+  filtered.forEach((sample, i) => {
+    assert.equal(sample[0], samples[i][0]);
+    assert.ok(angleFrom(sample, new THREE.Quaternion().fromArray(samples[i].slice(1))) < 1e-6);
+  });
+});
+
+for (const id of SMOOTHING_FILTERS) {
+  const { name } = ORIENTATION_FILTERS[id];
+
+  test(`${name} converges on a step input`, () => {
+    const target = orientation(Math.PI / 2);
+    const samples = createSamples(2000, (t) => (t < 500 ? orientation(0) : target));
+    const filtered = runOrientationFilter(id, samples, getDefaultFilterParams(id));
+
+    // Lags just after the turn, but settles on the new heading
+    const justAfter = filtered.find(([t]) => t >= 500);
+    assert.ok(angleFrom(justAfter, target) > 0.01, 'should not jump straight to the target');
+    assert.ok(angleFrom(filtered[filtered.length - 1], target) < 0.01);
+  });
+
+  test(`${name} smooths jitter while holding still`, () => {
+    const random = createRandom(2);
+    const rest = orientation(1, 0.3);
+    const jitter = 0.01; // radians
+    const samples = createSamples(3000, () => orientation(1 + (random() - 0.5) * jitter, 0.3 + (random() - 0.5) * jitter));
+    const filtered = runOrientationFilter(id, samples, getDefaultFilterParams(id));
+
+    const settled = filtered.slice(60);
+    assert.ok(meanStep(settled) < meanStep(samples.slice(60)) / 2, 'filtered stream should shake less');
+    assert.ok(settled.every((sample) => angleFrom(sample, rest) < jitter));
+  });
+}
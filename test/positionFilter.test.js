@@ -0,0 +1,146 @@
+/**
+ * Position filter tests, fed by synthetic position streams
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { updatePositionFilter, getFilterAccuracy } from '../src/positionFilter.js';
+import { calculateDistance } from '../src/utils.js';
+import { GPS_MAX_ACCURACY, GPS_MAX_SPEED, GPS_MAX_OUTLIERS, GPS_PROCESS_NOISE } from '../src/config.js';
+
+const OPTIONS = {
+  maxAccuracy: GPS_MAX_ACCURACY,
+  maxSpeed: GPS_MAX_SPEED,
+  maxOutliers: GPS_MAX_OUTLIERS,
+  processNoise: GPS_PROCESS_NOISE
+};
+
+const START = { lat: 43.642567, lon: -79.387054 };
+const METERS_PER_DEGREE_LAT = 111320;
+const WALKING_SPEED = 1.4; // m/s
+
+/**
+ * Small seeded random generator, so noisy streams are the same on every run
+ */
+function createRandom(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+}
+
+/**
+ * True position after walking north for a number of seconds
+ */
+function walkPosition(seconds) {
+  return { lat: START.lat + (WALKING_SPEED * seconds) / METERS_PER_DEGREE_LAT, lon: START.lon };
+}
+
+/**
+ * One fix per second while walking north, with up to `noise` meters of error on each axis
+ */
+function createWalk(seconds, { noise = 5, accuracy = 10, seed = 1, from = 0 } = {}) {
+  const random = createRandom(seed);
+  const metersPerDegreeLon = METERS_PER_DEGREE_LAT * Math.cos(START.lat * Math.PI / 180);
+  const fixes = [];
+  for (let t = from; t < from + seconds; t++) {
+    const { lat, lon } = walkPosition(t);
+    fixes.push({
+      lat: lat + ((random() * 2 - 1) * noise) / METERS_PER_DEGREE_LAT,
+      lon: lon + ((random() * 2 - 1) * noise) / metersPerDegreeLon,
+      accuracy,
+      timestamp: t * 1000,
+      truth: { lat, lon }
+    });
+  }
+  return fixes;
+}
+
+/**
+ * Feed fixes through the filter, returning every result
+ */
+function runFilter(fixes, state = null) {
+  return fixes.map((fix) => {
+    const result = updatePositionFilter(state, fix, OPTIONS);
+    state = result.state;
+    return result;
+  });
+}
+
+/**
+ * Distance in meters between an estimate and the true position
+ */
+function errorFrom(position, truth) {
+  return calculateDistance(position.lat, position.lon, truth.lat, truth.lon);
+}
+
+test('steady walk with noise is accepted and smoothed', () => {
+  const fixes = createWalk(120, { noise: 20, accuracy: 20 });
+  const results = runFilter(fixes);
+
+  assert.ok(results.every(({ accepted }) => accepted));
+
+  // Once settled, the smoothed track is closer to the truth than the raw fixes
+  const settled = fixes.slice(20);
+  const rawError = settled.reduce((sum, fix) => sum + errorFrom(fix, fix.truth), 0) / settled.length;
+  const smoothedError = settled.reduce((sum, fix, i) => sum + errorFrom(results[i + 20].state, fix.truth), 0) / settled.length;
+  assert.ok(smoothedError < rawError, `smoothed ${smoothedError.toFixed(2)}m vs raw ${rawError.toFixed(2)}m`);
+  assert.ok(getFilterAccuracy(results[results.length - 1].state) < 20);
+});
+
+test('a single outlier jump is rejected', () => {
+  const fixes = createWalk(30);
+  const jump = { ...fixes[20], lat: fixes[20].lat + 500 / METERS_PER_DEGREE_LAT };
+  const results = runFilter([...fixes.slice(0, 20), jump, ...fixes.slice(21)]);
+
+  assert.equal(results[20].accepted, false);
+  assert.equal(results[20].reason, 'jump');
+  assert.deepEqual(results[20].state, { ...results[19].state, outliers: 1 });
+
+  // The next good fix is taken and clears the outlier count
+  assert.equal(results[21].accepted, true);
+  assert.equal(results[21].state.outliers, 0);
+  assert.ok(errorFrom(results[29].state, fixes[29].truth) < 10);
+});
+
+test('jumps that keep coming restart the filter at the new position', () => {
+  const fixes = createWalk(10);
+  const farAway = createWalk(GPS_MAX_OUTLIERS, { from: 10, seed: 2 }).map((fix) => ({
+    ...fix,
+    lon: fix.lon + 0.05 // About 4 km east, e.g. after a train ride
+  }));
+  const results = runFilter([...fixes, ...farAway]);
+
+  const jumps = results.slice(10);
+  assert.ok(jumps.slice(0, -1).every(({ accepted, reason }) => !accepted && reason === 'jump'));
+  assert.equal(jumps[jumps.length - 1].accepted, true);
+  assert.equal(jumps[jumps.length - 1].reason, 'reset');
+  assert.equal(jumps[jumps.length - 1].state.lon, farAway[farAway.length - 1].lon);
+});
+
+test('walking on through a GPS dropout is accepted without a restart', () => {
+  const before = createWalk(30);
+  const after = createWalk(30, { from: 90, seed: 3 }); // No fixes for a minute
+  const results = runFilter([...before, ...after]);
+
+  const first = results[30];
+  assert.equal(first.accepted, true);
+  assert.equal(first.reason, null);
+
+  // Uncertainty grew during the gap, so the first fix back pulls the estimate most of the way
+  const gap = errorFrom(results[29].state, after[0].truth);
+  assert.ok(errorFrom(first.state, after[0].truth) < gap / 4);
+  assert.ok(errorFrom(results[results.length - 1].state, after[after.length - 1].truth) < 10);
+});
+
+test('inaccurate fixes are ignored', () => {
+  const fixes = createWalk(5);
+  const [first] = runFilter(fixes.slice(0, 1));
+  const result = updatePositionFilter(first.state, { ...fixes[1], accuracy: GPS_MAX_ACCURACY + 1 }, OPTIONS);
+
+  assert.equal(result.accepted, false);
+  assert.equal(result.reason, 'inaccurate');
+  assert.equal(result.state, first.state);
+
+  // Even as the first fix
+  assert.equal(updatePositionFilter(null, { ...fixes[0], accuracy: Infinity }, OPTIONS).state, null);
+});